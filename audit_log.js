@@ -0,0 +1,133 @@
+const fs = require("fs")
+const crypto = require("crypto")
+const readline = require("readline")
+
+// an append-only record of the quickbooks item writes of every run, so that a run can be rolled back, see SyncRunner.rollback.
+// an entry is { run_id, timestamp, reason, operation, item_id, type, sku, name, before, after }, with the whole item as it was
+// before the write (null for a create) and as quickbooks returned it after, SyncTokens included.
+// keeps the entries in memory only, and defines the interface every audit log implements
+class MemoryAuditLog {
+    constructor() {
+        this.entries = []
+    }
+
+    async append(entry) {
+        this.entries.push(entry)
+    }
+
+    // in the order they were written
+    async findByRunId(run_id) {
+        return this.entries.filter(entry => entry.run_id == run_id)
+    }
+}
+
+// one json entry per line, only ever appended to. a crash partway through an append can leave a partial last line behind,
+// the first append after it starts on a fresh line and reads skip the lines that don't parse, so only that entry is lost
+class JSONLinesAuditLog {
+    constructor({ path }) {
+        this.path = path
+        this.line_ended = null
+    }
+
+    async append(entry) {
+        if (!this.line_ended) {
+            this.line_ended = this.endLastLine().catch(err => {
+                this.line_ended = null
+                throw err
+            })
+        }
+        await this.line_ended
+
+        await fs.promises.appendFile(this.path, `${JSON.stringify(entry)}\n`)
+    }
+
+    // ends a partial last line left by an earlier process, this process only ever appends whole lines
+    async endLastLine() {
+        let file
+        try {
+            file = await fs.promises.open(this.path, "r")
+        } catch (err) {
+            if (err.code == "ENOENT") {
+                return
+            }
+
+            throw err
+        }
+
+        try {
+            const { size } = await file.stat()
+            if (size == 0) {
+                return
+            }
+
+            const last = Buffer.alloc(1)
+            await file.read(last, 0, 1, size - 1)
+            if (last.toString("utf8") != "\n") {
+                await fs.promises.appendFile(this.path, "\n")
+            }
+        } finally {
+            await file.close()
+        }
+    }
+
+    // reads the file a line at a time, as the log keeps growing run after run.
+    // a line that doesn't parse is skipped and handed to on_skipped_line as { line, message }
+    async findByRunId(run_id, { on_skipped_line = null } = {}) {
+        let entries = []
+
+        let input
+        try {
+            input = await openStream(this.path)
+        } catch (err) {
+            if (err.code == "ENOENT") {
+                return entries
+            }
+
+            throw err
+        }
+
+        let line_number = 0
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+            line_number += 1
+            if (line.trim() == "") {
+                continue
+            }
+
+            let entry
+            try {
+                entry = JSON.parse(line)
+            } catch (err) {
+                if (on_skipped_line) {
+                    on_skipped_line({ line: line_number, message: `skipped line ${line_number} of audit log ${this.path}: ${err.message}` })
+                }
+                continue
+            }
+
+            if (entry.run_id == run_id) {
+                entries.push(entry)
+            }
+        }
+
+        return entries
+    }
+}
+
+// resolves once the file is open, so that a missing file is an error of the caller rather than of the stream
+const openStream = path => {
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(path, "utf8")
+        stream.once("open", () => resolve(stream))
+        stream.once("error", reject)
+    })
+}
+
+// sorts by time, e.g. 2020-10-01T12:00:00.000Z-3f2a9c1b
+const createRunId = () => {
+    return `${new Date().toISOString()}-${crypto.randomBytes(4).toString("hex")}`
+}
+
+module.exports = {
+    MemoryAuditLog,
+    JSONLinesAuditLog,
+    createRunId
+}
\ No newline at end of file
@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+const fs = require("fs")
+const path = require("path")
+const { createExchangeRateProvider } = require("../exchange_rates")
+const { QuickBooksEngine, AccountMappingError, TaxMappingError, ShopifyEngine, SyncRunner, SyncProfiles, JSONFileStateStore, FileTokenStore, JSONLinesAuditLog, writeReport, WebhookServer } = require("..")
+
+const USAGE = `usage: quickbooks-sync <command> [options]
+
+commands:
+    validate            validate the shopify product variants, with the exchange rates to the quickbooks home currency
+    plan                show the changes a sync would make without making them
+    sync                sync the shopify product variants into quickbooks
+    rollback <run-id>   put the quickbooks items a sync wrote back the way they were, from the audit log
+    purchase-orders     draft a quickbooks purchase order per vendor for the --sku skus, priced with their shopify unit cost
+    accounts            show the quickbooks accounts new items are created with
+    auth refresh        refresh the quickbooks access token and save the rotated tokens
+    serve               receive shopify webhooks and sync the products and paid orders they carry as they arrive
+
+options:
+    --config <path>     json or js config file, otherwise the config is read from environment variables
+    --sku <sku>         only report or sync the given sku, may be repeated
+    --profile <name>    only validate, plan or sync the given sync profile, may be repeated; serve and purchase-orders take exactly one
+    --realm <name>      the quickbooks company of the realms config to use (accounts, auth refresh)
+    --json              print results as json, the same as --format json
+    --format <format>   report format: console (default), json, csv, junit or html (validate, plan, sync, rollback, purchase-orders)
+    --output <path>     write the report to a file instead of printing it (validate, plan, sync, rollback, purchase-orders)
+    --failures-only     only report variants that failed (validate, plan, sync, rollback, purchase-orders)
+    --incremental       only fetch variants updated since the last successful sync (plan, sync)
+    --concurrency <n>   number of variants synced at once (plan, sync)
+    --port <port>       port the webhook server listens on, 3000 by default (serve)
+    --quantity <n>      quantity ordered of each sku, 1 by default (purchase-orders)
+    --dry-run           log the changes webhooks, a rollback or purchase orders would make without making them (serve, rollback, purchase-orders)
+    --force             roll back items changed in quickbooks since the run too (rollback)
+    --help              show this message
+
+environment variables:
+    SHOPIFY_SHOP, SHOPIFY_ADMIN_API_PASSWORD, SHOPIFY_STOREFRONT_API_ACCESS_TOKEN, SHOPIFY_LOCATION_IDS, SHOPIFY_WEBHOOK_SECRET,
+    SHOPIFY_FETCH_MODE (pages, or bulk to read large catalogs from a shopify bulk operation),
+    QUICKBOOKS_CLIENT_ID, QUICKBOOKS_CLIENT_SECRET, QUICKBOOKS_ACCESS_TOKEN, QUICKBOOKS_REFRESH_TOKEN,
+    QUICKBOOKS_REALM_ID, QUICKBOOKS_SANDBOX, QUICKBOOKS_DEBUG, QUICKBOOKS_TOKEN_STORE_PATH, SYNC_STATE_PATH,
+    QUICKBOOKS_AUDIT_LOG_PATH (a json lines file every item write is appended to, which rollback needs),
+    QUICKBOOKS_VENDORS (true to find or create a quickbooks vendor for each shopify vendor and make it the items' preferred vendor),
+    QUICKBOOKS_BATCH (true to look items up in memory and write them through the batch endpoint, best with --concurrency 30)
+
+sync profiles: a config file with "realms", named quickbooks configs, and "profiles", named { shopify, realm, sku_prefix,
+state_path, mapping, validation, field_sources, exchange_rates } configs, syncs several stores into one or more companies.
+the top level mapping, validation, field_sources and exchange_rates are the defaults of every profile
+
+exit status is 0 on success, 1 when validation or a sync failed or found conflicts and 2 on usage or configuration errors`
+
+class UsageError extends Error {}
+
+const FLAGS = ["json", "incremental", "help", "failures-only", "dry-run", "force"]
+const OPTIONS = ["config", "sku", "profile", "realm", "concurrency", "format", "output", "port", "quantity"]
+
+const parseArgs = argv => {
+    let args = {
+        command: [],
+        skus: [],
+        profiles: [],
+        realm: null,
+        json: false,
+        incremental: false,
+        help: false,
+        failures_only: false,
+        dry_run: false,
+        force: false,
+        config: null,
+        concurrency: 1,
+        format: null,
+        output: null,
+        port: 3000,
+        quantity: 1
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i]
+
+        if (!arg.startsWith("--")) {
+            args.command = args.command.concat(arg)
+            continue
+        }
+
+        const name = arg.slice(2)
+        if (FLAGS.includes(name)) {
+            args[name.replace(/-/g, "_")] = true
+            continue
+        }
+
+        if (!OPTIONS.includes(name)) {
+            throw new UsageError(`unknown option: ${arg}`)
+        }
+
+        const value = argv[i + 1]
+        if (value === undefined || value.startsWith("--")) {
+            throw new UsageError(`missing value for option: ${arg}`)
+        }
+        i += 1
+
+        if (name == "sku") {
+            args.skus = args.skus.concat(value)
+        } else if (name == "profile") {
+            args.profiles = args.profiles.concat(value)
+        } else if (name == "port") {
+            args.port = parseInt(value, 10)
+            if (!(args.port >= 0)) {
+                throw new UsageError(`invalid port: ${value}`)
+            }
+        } else if (name == "quantity") {
+            args.quantity = parseInt(value, 10)
+            if (!(args.quantity > 0)) {
+                throw new UsageError(`invalid quantity: ${value}`)
+            }
+        } else if (name == "concurrency") {
+            args.concurrency = parseInt(value, 10)
+            if (!(args.concurrency > 0)) {
+                throw new UsageError(`invalid concurrency: ${value}`)
+            }
+        } else {
+            args[name] = value
+        }
+    }
+
+    if (!args.format) {
+        args.format = args.json ? "json" : "console"
+    }
+
+    return args
+}
+
+const loadConfig = config_path => {
+    if (config_path) {
+        const resolved = path.resolve(config_path)
+        try {
+            return require(resolved)
+        } catch (err) {
+            // a module the config itself requires may be missing too, that is not a usage error
+            if (err.code == "MODULE_NOT_FOUND" && !fs.existsSync(resolved)) {
+                throw new UsageError(`config file not found: ${config_path}`)
+            }
+
+            throw err
+        }
+    }
+
+    const env = process.env
+
+    return {
+        shopify: {
+            shop: env.SHOPIFY_SHOP,
+            admin_api_password: env.SHOPIFY_ADMIN_API_PASSWORD,
+            storefront_api_access_token: env.SHOPIFY_STOREFRONT_API_ACCESS_TOKEN,
+            location_ids: env.SHOPIFY_LOCATION_IDS ? env.SHOPIFY_LOCATION_IDS.split(",") : null,
+            webhook_secret: env.SHOPIFY_WEBHOOK_SECRET,
+            fetch_mode: env.SHOPIFY_FETCH_MODE
+        },
+        quickbooks: {
+            client_id: env.QUICKBOOKS_CLIENT_ID,
+            client_secret: env.QUICKBOOKS_CLIENT_SECRET,
+            access_token: env.QUICKBOOKS_ACCESS_TOKEN,
+            refresh_token: env.QUICKBOOKS_REFRESH_TOKEN,
+            realm_id: env.QUICKBOOKS_REALM_ID,
+            sandbox: env.QUICKBOOKS_SANDBOX != "false",
+            debug: env.QUICKBOOKS_DEBUG == "true",
+            batch: env.QUICKBOOKS_BATCH == "true",
+            vendors: env.QUICKBOOKS_VENDORS == "true",
+            token_store_path: env.QUICKBOOKS_TOKEN_STORE_PATH,
+            audit_log_path: env.QUICKBOOKS_AUDIT_LOG_PATH
+        },
+        state_path: env.SYNC_STATE_PATH
+    }
+}
+
+const requireConfig = (config, section, keys) => {
+    const missing = keys.filter(key => !config[section] || !config[section][key])
+    if (missing.length > 0) {
+        throw new UsageError(`missing ${section} config: ${missing.join(", ")}`)
+    }
+}
+
+const createShopifyEngine = config => {
+    requireConfig(config, "shopify", ["shop", "admin_api_password"])
+    return new ShopifyEngine(config.shopify)
+}
+
+// with a realms config the company is picked by name
+const quickBooksConfig = (config, realm = null) => {
+    if (!config.realms) {
+        return config
+    }
+
+    if (!realm || !config.realms[realm]) {
+        throw new UsageError(`${realm ? `unknown realm: ${realm}` : "missing --realm"}; expected one of: ${Object.keys(config.realms).join(", ")}`)
+    }
+
+    return { quickbooks: config.realms[realm] }
+}
+
+const createQuickBooksEngine = (config, realm = null) => {
+    const realm_config = quickBooksConfig(config, realm)
+    requireConfig(realm_config, "quickbooks", ["client_id", "client_secret", "access_token", "refresh_token", "realm_id"])
+    const { token_store_path, audit_log_path, debug = false, ...quickbooks } = realm_config.quickbooks
+
+    return new QuickBooksEngine({
+        ...quickbooks,
+        debug,
+        token_store: token_store_path ? new FileTokenStore({ path: token_store_path }) : null,
+        audit_log: audit_log_path ? new JSONLinesAuditLog({ path: audit_log_path }) : null
+    })
+}
+
+// the profiles of a realm share one engine, so that its scheduler and token refreshes cover all of them
+const createSyncProfiles = config => {
+    let engines = {}
+
+    return new SyncProfiles({
+        profiles: Object.keys(config.profiles).map(name => {
+            const profile = {
+                mapping: config.mapping,
+                validation: config.validation,
+                field_sources: config.field_sources,
+                exchange_rates: config.exchange_rates,
+                ...config.profiles[name]
+            }
+
+            if (!engines[profile.realm]) {
+                engines[profile.realm] = createQuickBooksEngine(config, profile.realm)
+            }
+
+            return {
+                name,
+                shopify: createShopifyEngine(profile),
+                quickbooks: engines[profile.realm],
+                state_store: profile.state_path ? new JSONFileStateStore({ path: profile.state_path }) : null,
+                sku_prefix: profile.sku_prefix,
+                mapping: profile.mapping,
+                validation: profile.validation,
+                field_sources: profile.field_sources,
+                exchange_rates: createExchangeRateProvider(profile.exchange_rates)
+            }
+        })
+    })
+}
+
+const createSyncRunner = config => {
+    return new SyncRunner({
+        shopify: createShopifyEngine(config),
+        quickbooks: createQuickBooksEngine(config),
+        state_store: config.state_path ? new JSONFileStateStore({ path: config.state_path }) : null,
+        mapping: config.mapping,
+        validation: config.validation,
+        field_sources: config.field_sources,
+        exchange_rates: createExchangeRateProvider(config.exchange_rates)
+    })
+}
+
+const printJSON = value => {
+    console.log(JSON.stringify(value, null, 2))
+}
+
+const validate = async (config, { skus, profiles, format, output, failures_only }) => {
+    if (config.profiles) {
+        const report = await createSyncProfiles(config).validate({ names: profiles.length > 0 ? profiles : null, skus })
+        writeReport(report, { kind: "validation", format, output, failures_only })
+
+        return report.ok ? 0 : 1
+    }
+
+    const report = await createSyncRunner(config).validate({ skus })
+    writeReport(report, { kind: "validation", format, output, failures_only })
+
+    return report.ok ? 0 : 1
+}
+
+const sync = async (config, { skus, profiles, incremental, concurrency, format, output, failures_only }, { dry_run }) => {
+    const summary = config.profiles ?
+        await createSyncProfiles(config).run({ names: profiles.length > 0 ? profiles : null, dry_run, incremental, concurrency, skus }) :
+        await createSyncRunner(config).run({ dry_run, incremental, concurrency, skus })
+
+    writeReport(summary, { kind: "run", format, output, failures_only })
+
+    return summary.ok && summary.skipped == 0 && summary.conflicts == 0 ? 0 : 1
+}
+
+// every company of the profiles is rolled back, as a profiles run logs the writes of all of them under one run id
+const rollback = async (config, { command, dry_run, force, format, output, failures_only }) => {
+    const [, run_id] = command
+    if (!run_id || command.length > 2) {
+        throw new UsageError("rollback takes the run id of exactly one sync")
+    }
+
+    const summary = config.profiles ?
+        await createSyncProfiles(config).rollback(run_id, { dry_run, force }) :
+        await createSyncRunner(config).rollback(run_id, { dry_run, force })
+
+    writeReport(summary, { kind: "run", format, output, failures_only })
+
+    return summary.ok && summary.skipped == 0 ? 0 : 1
+}
+
+// purchase orders are drafted from one store's variants, so a profiles config needs the store picked with --profile
+const purchaseOrders = async (config, { skus, profiles, quantity, dry_run, format, output, failures_only }) => {
+    if (skus.length == 0) {
+        throw new UsageError("purchase-orders needs the skus to order with --sku")
+    }
+
+    if (config.profiles && profiles.length != 1) {
+        throw new UsageError("purchase-orders drafts the orders of one store, pick its sync profile with --profile")
+    }
+
+    const sync_profiles = config.profiles ? createSyncProfiles(config) : null
+    if (sync_profiles) {
+        sync_profiles.checkNames(profiles)
+    }
+
+    const runner = sync_profiles ? sync_profiles.runners[profiles[0]] : createSyncRunner(config)
+    const summary = await runner.draftPurchaseOrders(skus, { quantity, dry_run })
+
+    writeReport(summary, { kind: "run", format, output, failures_only })
+
+    return summary.ok && summary.skipped == 0 ? 0 : 1
+}
+
+const accounts = async (config, { realm, format }) => {
+    const resolved = await createQuickBooksEngine(config, realm).resolveAccounts()
+
+    if (format == "json") {
+        printJSON(resolved)
+    } else {
+        const logRefs = (scope, refs) => {
+            console.log(`    ${scope}`)
+            Object.keys(refs).forEach(key => {
+                console.log(`        ${key}: ${refs[key].name} (${refs[key].value})`)
+            })
+        }
+
+        logRefs("default", resolved.default)
+        Object.keys(resolved.vendor).forEach(vendor => logRefs(`vendor ${vendor}`, resolved.vendor[vendor]))
+        Object.keys(resolved.product_type).forEach(product_type => logRefs(`product type ${product_type}`, resolved.product_type[product_type]))
+    }
+
+    return 0
+}
+
+const refreshAuth = async (config, { realm, format }) => {
+    const { quickbooks } = quickBooksConfig(config, realm)
+    if (!quickbooks || !quickbooks.token_store_path) {
+        throw new UsageError("auth refresh needs quickbooks.token_store_path (QUICKBOOKS_TOKEN_STORE_PATH) to save the rotated tokens to")
+    }
+
+    const { expires_in, x_refresh_token_expires_in } = await createQuickBooksEngine(config, realm).refreshAccessToken()
+
+    if (format == "json") {
+        printJSON({ ok: true, token_store_path: quickbooks.token_store_path, expires_in, x_refresh_token_expires_in })
+    } else {
+        console.log(`    tokens refreshed and saved to ${quickbooks.token_store_path}`)
+    }
+
+    return 0
+}
+
+// runs until the process is stopped, so it only resolves with an exit code if the server fails to start
+const serve = async (config, { profiles, port, dry_run }) => {
+    if (config.profiles && profiles.length != 1) {
+        throw new UsageError("serve receives the webhooks of one store, pick its sync profile with --profile")
+    }
+
+    const store_config = config.profiles ? config.profiles[profiles[0]] : config
+    if (!store_config) {
+        throw new UsageError(`unknown sync profile: ${profiles[0]}; expected one of: ${Object.keys(config.profiles).join(", ")}`)
+    }
+
+    requireConfig(store_config, "shopify", ["webhook_secret"])
+
+    const runner = config.profiles ? createSyncProfiles(config).runners[profiles[0]] : createSyncRunner(config)
+    const server = new WebhookServer({ runner, secret: store_config.shopify.webhook_secret, dry_run })
+    const listening_port = await server.listen(port)
+
+    console.log(`    listening for shopify webhooks on port ${listening_port}${dry_run ? " (dry run)" : ""}`)
+
+    return new Promise(() => {})
+}
+
+const main = async argv => {
+    const args = parseArgs(argv)
+
+    if (args.help || args.command.length == 0) {
+        console.log(USAGE)
+        return args.help ? 0 : 2
+    }
+
+    const config = loadConfig(args.config)
+
+    if (args.command[0] == "rollback") {
+        return rollback(config, args)
+    }
+
+    switch (args.command.join(" ")) {
+        case "validate":
+            return validate(config, args)
+        case "plan":
+            return sync(config, args, { dry_run: true })
+        case "sync":
+            return sync(config, args, { dry_run: false })
+        case "accounts":
+            return accounts(config, args)
+        case "auth refresh":
+            return refreshAuth(config, args)
+        case "serve":
+            return serve(config, args)
+        case "purchase-orders":
+            return purchaseOrders(config, args)
+        default:
+            throw new UsageError(`unknown command: ${args.command.join(" ")}`)
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code
+}).catch(err => {
+    if (err instanceof UsageError) {
+        console.error(`${err.message}\n\n${USAGE}`)
+    } else if (err instanceof AccountMappingError || err instanceof TaxMappingError) {
+        console.error(err.message)
+    } else {
+        console.error(err)
+    }
+
+    process.exitCode = 2
+})
\ No newline at end of file
@@ -0,0 +1,115 @@
+// exchange rate providers convert shopify prices and costs into the quickbooks home currency.
+// rate(from, to) returns how many units of to one unit of from is worth, or null when there is no rate
+
+// rates is a table such as { USD: { CAD: 1.35 } }, a pair that is only given the other way round is inverted
+class StaticExchangeRateProvider {
+    constructor({ rates = {} } = {}) {
+        this.rates = rates
+    }
+
+    async rate(from, to) {
+        if (this.rates[from] && this.rates[from][to]) {
+            return this.rates[from][to]
+        }
+
+        if (this.rates[to] && this.rates[to][from]) {
+            return 1 / this.rates[to][from]
+        }
+
+        return null
+    }
+}
+
+// hands the lookup to a user supplied function, e.g. one that asks a rates api, which may return a promise
+class CallbackExchangeRateProvider {
+    constructor({ rate }) {
+        this.getRate = rate
+    }
+
+    async rate(from, to) {
+        const rate = await this.getRate(from, to)
+        return rate ? rate : null
+    }
+}
+
+// looks up a rate into home_currency for every price and cost currency of the variants, once per currency.
+// returns { home_currency, rates: { [currency]: rate } }, currencies without a rate are left out
+const resolveExchangeRates = async (variants, home_currency, provider = null) => {
+    let currency = { home_currency, rates: {} }
+    await addExchangeRates(currency, variants, provider)
+
+    return currency
+}
+
+// adds the rates of the variants' currencies that weren't looked up before to currency, for variants that are streamed.
+// looked_up holds the currencies already asked for, so that one without a rate is only asked for once
+const addExchangeRates = async (currency, variants, provider = null, looked_up = new Set()) => {
+    const currencies = variants.reduce((found, { price_currency_code, inventory_item }) => {
+        const cost_currency_code = inventory_item && inventory_item.unit_cost ? inventory_item.unit_cost.currency_code : null
+        return found.concat([price_currency_code, cost_currency_code].filter(code => code))
+    }, [])
+
+    for (const code of new Set(currencies)) {
+        if (looked_up.has(code)) {
+            continue
+        }
+        looked_up.add(code)
+
+        const rate = code == currency.home_currency ? 1 : provider ? await provider.rate(code, currency.home_currency) : null
+        if (rate) {
+            currency.rates[code] = rate
+        }
+    }
+
+    return currency
+}
+
+// currency is the { home_currency, rates } from resolveExchangeRates, without it amounts are taken to be in the home currency already
+const toHomeCurrency = (amount, currency_code, currency = null) => {
+    return convert(amount, currency_code, currency, rate => amount * rate)
+}
+
+// the other way round, e.g. for a quickbooks price written back to shopify
+const fromHomeCurrency = (amount, currency_code, currency = null) => {
+    return convert(amount, currency_code, currency, rate => amount / rate)
+}
+
+const convert = (amount, currency_code, currency, apply) => {
+    if (amount === null || amount === undefined || !currency || !currency_code || currency_code == currency.home_currency) {
+        return amount
+    }
+
+    const rate = currency.rates[currency_code]
+    if (!rate) {
+        throw new Error(`no exchange rate from ${currency_code} to ${currency.home_currency}`)
+    }
+
+    return Math.round(apply(rate) * 100) / 100
+}
+
+// the exchange_rates config is either a rate table or a rate function
+const createExchangeRateProvider = exchange_rates => {
+    if (!exchange_rates) {
+        return null
+    }
+
+    if (typeof exchange_rates == "function") {
+        return new CallbackExchangeRateProvider({ rate: exchange_rates })
+    }
+
+    if (typeof exchange_rates.rate == "function") {
+        return exchange_rates
+    }
+
+    return new StaticExchangeRateProvider({ rates: exchange_rates })
+}
+
+module.exports = {
+    StaticExchangeRateProvider,
+    CallbackExchangeRateProvider,
+    resolveExchangeRates,
+    addExchangeRates,
+    createExchangeRateProvider,
+    toHomeCurrency,
+    fromHomeCurrency
+}
\ No newline at end of file
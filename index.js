@@ -1,10 +1,46 @@
-const { QuickBooksEngine } = require("./quickbooks_engine")
-const { ShopifyEngine, validateProductVariants, logProductVariantValidationResults, parseProduct } = require("./shopify_engine")
+const { QuickBooksEngine, AccountMappingError, TaxMappingError } = require("./quickbooks_engine")
+const { ShopifyEngine, validateProductVariants, createProductVariantValidator, logProductVariantValidationResults, parseProduct } = require("./shopify_engine")
+const { SyncRunner, logRunResults } = require("./sync_runner")
+const { SyncProfiles } = require("./sync_profiles")
+const { MemoryStateStore, JSONFileStateStore } = require("./state_store")
+const { FileTokenStore, CallbackTokenStore } = require("./token_store")
+const { MemoryAuditLog, JSONLinesAuditLog } = require("./audit_log")
+const { RequestScheduler } = require("./request_scheduler")
+const { generateProductName, generateProductDescription, generateProductCategory } = require("./product_mapping")
+const { BUILT_IN_RULES } = require("./validation_rules")
+const { registerReporter, renderReport, writeReport } = require("./reporters")
+const { WebhookServer, signWebhook, verifyWebhook } = require("./webhook_server")
+const { StaticExchangeRateProvider, CallbackExchangeRateProvider } = require("./exchange_rates")
 
 module.exports = {
     QuickBooksEngine,
+    AccountMappingError,
+    TaxMappingError,
     ShopifyEngine,
+    SyncRunner,
+    SyncProfiles,
+    MemoryStateStore,
+    JSONFileStateStore,
+    FileTokenStore,
+    CallbackTokenStore,
+    MemoryAuditLog,
+    JSONLinesAuditLog,
+    RequestScheduler,
+    StaticExchangeRateProvider,
+    CallbackExchangeRateProvider,
     validateProductVariants,
+    createProductVariantValidator,
+    BUILT_IN_RULES,
     logProductVariantValidationResults,
-    parseProduct
+    logRunResults,
+    registerReporter,
+    renderReport,
+    writeReport,
+    WebhookServer,
+    signWebhook,
+    verifyWebhook,
+    parseProduct,
+    generateProductName,
+    generateProductDescription,
+    generateProductCategory
 }
\ No newline at end of file
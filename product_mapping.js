@@ -0,0 +1,147 @@
+// how a shopify variant's quickbooks name and description are produced.
+// templates take the placeholders {vendor}, {title}, {options}, {sku}, {barcode} and {product_type}, and descriptions {name} as well.
+// names over max_name_length have their abbreviations applied and, with truncate set, are cut to max_name_length,
+// which can't be over the 100 characters quickbooks allows in a name.
+// name and description may instead be functions of the variant (and the generated name, for descriptions).
+// the quickbooks category is taken from category_source: the "product_type", the first tag starting with category_tag_prefix
+// ("tags"), or the first collection, or the first of category_collections by handle when given ("collections").
+// with a category_separator, e.g. ">", the value is split into nested categories, "Shoes > Running" becomes Shoes:Running.
+// category may instead be a function of the variant returning the category path as an array of names
+const QUICKBOOKS_MAX_NAME_LENGTH = 100
+
+const DEFAULT_MAPPING = {
+    name_template: "{vendor} {title} {options}",
+    description_template: "{name}, barcode: {barcode}",
+    max_name_length: QUICKBOOKS_MAX_NAME_LENGTH,
+    abbreviations: {},
+    truncate: false,
+    name: null,
+    description: null,
+    category_source: "product_type",
+    category_separator: null,
+    category_tag_prefix: "category:",
+    category_collections: null,
+    category: null
+}
+
+const resolveMapping = mapping => {
+    const resolved = {
+        ...DEFAULT_MAPPING,
+        ...mapping
+    }
+
+    if (resolved.max_name_length > QUICKBOOKS_MAX_NAME_LENGTH) {
+        throw new Error(`invalid max_name_length: ${resolved.max_name_length}; quickbooks names can't have more than ${QUICKBOOKS_MAX_NAME_LENGTH} characters`)
+    }
+
+    return resolved
+}
+
+const templateValues = ({ vendor, title, selected_options, sku, barcode, product_type }) => {
+    return {
+        vendor,
+        title,
+        options: (selected_options || []).filter(({ value }) => value && value != "Default Title").map(({ value }) => value).join(" "),
+        sku,
+        barcode,
+        product_type
+    }
+}
+
+// a placeholder with an empty value is dropped together with the space before it, so "{title} {options}"
+// renders as just the title for variants without options
+const renderTemplate = (template, values) => {
+    return template.replace(/( ?)\{(\w+)\}/g, (match, space, key) => {
+        const value = values[key]
+        return value === undefined || value === null || value === "" ? "" : `${space}${value}`
+    })
+}
+
+const abbreviate = (name, abbreviations) => {
+    return Object.keys(abbreviations).reduce((abbreviated, phrase) => abbreviated.split(phrase).join(abbreviations[phrase]), name)
+}
+
+const generateProductName = (variant, mapping = {}) => {
+    const { name_template, max_name_length, abbreviations, truncate, name: custom_name } = resolveMapping(mapping)
+
+    let name = custom_name ? custom_name(variant) : renderTemplate(name_template, templateValues(variant))
+
+    if (name.length > max_name_length) {
+        name = abbreviate(name, abbreviations)
+    }
+
+    if (name.length > max_name_length && truncate) {
+        name = name.slice(0, max_name_length).trimEnd()
+    }
+
+    return name
+}
+
+const generateProductDescription = (variant, name, mapping = {}) => {
+    const { description_template, description: custom_description } = resolveMapping(mapping)
+
+    if (custom_description) {
+        return custom_description(variant, name)
+    }
+
+    return renderTemplate(description_template, {
+        ...templateValues(variant),
+        name
+    })
+}
+
+const categoryValue = ({ product_type, tags, collections }, { category_source, category_tag_prefix, category_collections }) => {
+    switch (category_source) {
+        case "product_type":
+            return product_type
+        case "tags": {
+            if (!tags) {
+                return undefined
+            }
+
+            const tag = tags.find(tag => tag.startsWith(category_tag_prefix))
+            return tag ? tag.slice(category_tag_prefix.length) : null
+        }
+        case "collections": {
+            if (!collections) {
+                return undefined
+            }
+
+            const collection = category_collections ? category_collections.map(handle => collections.find(collection => collection.handle == handle)).find(collection => collection) : collections[0]
+            return collection ? collection.title : null
+        }
+        default:
+            throw new Error(`unknown category source: ${category_source}; expected product_type, tags or collections`)
+    }
+}
+
+// returns the category path from the top level category down, [] for no category,
+// or null when the variant doesn't carry what the category comes from (e.g. a webhook payload has no collections)
+// and the item should be left in whatever category it is in
+const generateProductCategory = (variant, mapping = {}) => {
+    const resolved_mapping = resolveMapping(mapping)
+
+    if (resolved_mapping.category) {
+        return resolved_mapping.category(variant)
+    }
+
+    const value = categoryValue(variant, resolved_mapping)
+    if (value === undefined) {
+        return null
+    }
+
+    if (value === null || value.trim() == "") {
+        return []
+    }
+
+    const path = resolved_mapping.category_separator ? value.split(resolved_mapping.category_separator) : [value]
+    return path.map(name => name.trim()).filter(name => name != "")
+}
+
+module.exports = {
+    DEFAULT_MAPPING,
+    resolveMapping,
+    generateProductName,
+    generateProductDescription,
+    generateProductCategory
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+// quickbooks takes at most 30 operations in one batch request
+const MAX_BATCH_OPERATIONS = 30
+
+// collects the item writes of products synced concurrently and sends them through the quickbooks batch endpoint.
+// every write gets a promise of its own, settled with the entity quickbooks returns for it or rejected with that operation's
+// fault alone, so that one bad item doesn't fail the others in its batch. a batch is sent once it is full, or delay ms after
+// its first write was queued, so a run needs a concurrency of about max_operations to fill its batches
+class BatchWriter {
+    // send(operations) posts a batch and resolves with the response, e.g. through QuickBooksEngine.request("batch", operations)
+    constructor({ send, max_operations = MAX_BATCH_OPERATIONS, delay = 20 }) {
+        if (max_operations > MAX_BATCH_OPERATIONS) {
+            throw new Error(`quickbooks takes at most ${MAX_BATCH_OPERATIONS} operations per batch`)
+        }
+
+        this.send = send
+        this.max_operations = max_operations
+        this.delay = delay
+
+        this.queued = []
+        this.timer = null
+        this.next_id = 1
+    }
+
+    // operation is "create" or "update", entity the quickbooks entity name, e.g. "Item"
+    write(operation, entity, payload) {
+        return new Promise((resolve, reject) => {
+            this.queued.push({ bId: String(this.next_id++), operation, entity, payload, resolve, reject })
+
+            if (this.queued.length >= this.max_operations) {
+                this.flush()
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush(), this.delay)
+            }
+        })
+    }
+
+    flush() {
+        clearTimeout(this.timer)
+        this.timer = null
+
+        while (this.queued.length > 0) {
+            this.sendBatch(this.queued.splice(0, this.max_operations))
+        }
+    }
+
+    async sendBatch(batch) {
+        let res
+        try {
+            res = await this.send(batch.map(({ bId, operation, entity, payload }) => ({ bId, operation, [entity]: payload })))
+        } catch (err) {
+            batch.forEach(({ reject }) => reject(err))
+            return
+        }
+
+        const responses = res && res.BatchItemResponse ? res.BatchItemResponse : []
+
+        batch.forEach(({ bId, entity, resolve, reject }) => {
+            const response = responses.find(item_response => item_response.bId == bId)
+
+            if (!response) {
+                reject(new Error(`the quickbooks batch response has no result for operation ${bId}`))
+            } else if (response.Fault) {
+                // shaped like the errors node-quickbooks rejects with, so faults are described the same way
+                reject(response)
+            } else {
+                resolve(response[entity])
+            }
+        })
+    }
+}
+
+// every inventory item and category in memory, found by sku, by name or by their fully qualified name. quickbooks compares
+// strings in queries without regard to case, and so does the index. put keeps it up to date with the engine's own writes
+class ItemIndex {
+    constructor(items = []) {
+        this.items = new Map()
+        this.keys = INDEXED_FIELDS.reduce((keys, field) => ({ ...keys, [field]: new Map() }), {})
+
+        items.forEach(item => this.put(item))
+    }
+
+    // replaces the item with the same Id, whose name or sku may have changed
+    put(item) {
+        const previous = this.items.get(item.Id)
+        if (previous) {
+            INDEXED_FIELDS.forEach(field => this.idsOf(field, previous[field]).delete(previous.Id))
+        }
+
+        this.items.set(item.Id, item)
+        INDEXED_FIELDS.forEach(field => {
+            const key = indexKey(item[field])
+            if (key === null) {
+                return
+            }
+
+            if (!this.keys[field].has(key)) {
+                this.keys[field].set(key, new Set())
+            }
+            this.keys[field].get(key).add(item.Id)
+        })
+    }
+
+    // an active match is preferred over an inactive one, as with the queries
+    findProduct(field, value) {
+        return this.find(field, value, item => item.Type == "Inventory")
+    }
+
+    // inactive categories are left out, as the category queries leave them out
+    findCategory(field, value) {
+        return this.find(field, value, item => item.Type == "Category" && item.Active !== false)
+    }
+
+    find(field, value, matches) {
+        const items = [...this.idsOf(field, value)].map(id => this.items.get(id)).filter(matches)
+        return items.find(({ Active }) => Active !== false) || items[0] || null
+    }
+
+    idsOf(field, value) {
+        const key = indexKey(value)
+        return key !== null && this.keys[field].has(key) ? this.keys[field].get(key) : new Set()
+    }
+}
+
+const INDEXED_FIELDS = ["Sku", "Name", "FullyQualifiedName"]
+
+const indexKey = value => {
+    return typeof value == "string" ? value.toLowerCase() : null
+}
+
+module.exports = {
+    BatchWriter,
+    ItemIndex,
+    MAX_BATCH_OPERATIONS
+}
\ No newline at end of file
@@ -1,9 +1,18 @@
 const QuickBooks = require("node-quickbooks")
 const moment = require("moment")
+const { RequestScheduler } = require("./request_scheduler")
+const { BatchWriter, ItemIndex } = require("./quickbooks_batch")
+const { selectTaxCodes, listTaxCodes, findTaxCode } = require("./tax_mapping")
 
 class QuickBooksEngine {
-    constructor({ client_id, client_secret, access_token, realm_id, refresh_token, sandbox = true, debug = true }) {
-        this.client = new QuickBooks(
+    // base_url replaces the quickbooks api endpoint, e.g. with a local fake, and client replaces the node-quickbooks client altogether.
+    // with batch, inventory items and categories are looked up in an index read with one paged query, see loadItemIndex, and item
+    // creates and updates are sent through the batch endpoint, see BatchWriter in quickbooks_batch.js.
+    // audit_log records every item write with the item as it was before, see audit_log.js.
+    // with vendors every item gets the quickbooks vendor named after its shopify vendor as its preferred vendor, created when missing.
+    // with a tax_mapping items get sales and purchase tax codes rather than the Taxable flag, see tax_mapping.js
+    constructor({ client_id, client_secret, access_token, realm_id, refresh_token, sandbox = true, debug = true, account_mapping = {}, adjustment_account = "Inventory Shrinkage", refund_account = "Checking", refund_item = "Shopify Refund", token_store = null, scheduler = null, base_url = null, client = null, batch = false, batch_delay = 20, audit_log = null, vendors = false, tax_mapping = null }) {
+        this.client = client || new QuickBooks(
             client_id,
             client_secret,
             access_token,
@@ -15,132 +24,522 @@ class QuickBooksEngine {
             '2.0', //oAuth version
             refresh_token
         )
-        this.accounts = {}
+        if (base_url) {
+            // node-quickbooks appends the realm id and the resource path to its endpoint
+            this.client.endpoint = base_url.endsWith("/") ? base_url : `${base_url}/`
+        }
+        this.accounts = null
+        this.account_mapping = {
+            ...DEFAULT_ACCOUNT_MAPPING,
+            ...account_mapping
+        }
+        this.adjustment_account = adjustment_account
+        this.refund_account = refund_account
+        this.refund_item = refund_item
+        this.token_store = token_store
+        this.tokens_loaded = false
+        this.refreshing = null
+        // quickbooks allows 500 requests per minute and 10 concurrent requests per realm
+        this.scheduler = scheduler || new RequestScheduler({ concurrency: 10, requests_per_minute: 500 })
+        this.created_categories = {}
+        this.home_currency = null
+        this.batch = batch
+        this.batch_writer = batch ? new BatchWriter({ send: operations => this.request("batch", operations), delay: batch_delay }) : null
+        this.item_index = null
+        this.audit_log = audit_log
+        this.vendors = vendors
+        this.found_vendors = {}
+        this.written_vendors = {}
+        this.tax_mapping = tax_mapping
+        this.tax_codes = null
     }
 
+    // tokens saved by an earlier process take precedence over the ones the engine was constructed with,
+    // as quickbooks rotates the refresh token and the configured one may already have been used up
+    async loadTokens() {
+        if (!this.token_store || this.tokens_loaded) {
+            return
+        }
+
+        const tokens = await this.token_store.load()
+        if (tokens && tokens.access_token && tokens.refresh_token) {
+            this.client.token = tokens.access_token
+            this.client.refreshToken = tokens.refresh_token
+        }
+
+        this.tokens_loaded = true
+    }
+
+    // concurrent callers share a single refresh, since a refresh token can only be exchanged once.
+    // the refresh token exchanged is the latest one saved in the token store, as for requests
     refreshAccessToken() {
-        return new Promise((resolve, reject) => {
-            this.client.refreshAccessToken((err, res) => {
-                if (err) {
-                    reject(err)
-                    return
-                }
+        if (!this.refreshing) {
+            this.refreshing = this.loadTokens().then(() => new Promise((resolve, reject) => {
+                this.client.refreshAccessToken((err, res) => {
+                    if (err) {
+                        reject(err)
+                        return
+                    }
 
-                if (!res.access_token || !res.refresh_token) {
-                    reject(new Error("missing auth data"))
+                    if (!res || !res.access_token || !res.refresh_token) {
+                        reject(new Error("missing auth data"))
+                        return
+                    }
+
+                    resolve({
+                        access_token: res.access_token,
+                        refresh_token: res.refresh_token,
+                        expires_in: res.expires_in,
+                        x_refresh_token_expires_in: res.x_refresh_token_expires_in
+                    })
+                })
+            })).then(async tokens => {
+                if (this.token_store) {
+                    await this.token_store.save(tokens)
                 }
 
-                resolve()
+                return tokens
+            }).finally(() => {
+                this.refreshing = null
             })
-        })
+        }
+
+        return this.refreshing
     }
 
-    createCategory(name) {
-        return new Promise((resolve, reject) => {
-            this.client.createItem({
-                Name: name,
-                Type: "Category"
-            }, (err, item) => {
-                if (err) {
-                    reject(err)
-                    return
-                }
+    // every call to the node-quickbooks client goes through here, so that it is rate limited and retried by the scheduler,
+    // and so that an expired access token is refreshed and the failed call retried once. a call that failed on an access token
+    // another call has refreshed since is retried with the new one, rather than exchanging the rotated refresh token again.
+    // writes are only retried when quickbooks throttled them, as a failed write may still have gone through
+    async request(method, ...args) {
+        await this.loadTokens()
+
+        const should_retry = READ_METHOD_PATTERN.test(method) ? isRetryableError : isThrottleError
+        let sent_token = null
+        const send = () => this.scheduler.schedule(() => {
+            sent_token = this.client.token
+            return callClient(this.client, method, args)
+        }, { should_retry })
+
+        try {
+            return await send()
+        } catch (err) {
+            if (!isAuthenticationError(err)) {
+                throw err
+            }
+
+            if (this.refreshing || this.client.token == sent_token) {
+                await this.refreshAccessToken()
+            }
+
+            return send()
+        }
+    }
+
+    // audit is the { run_id, reason, before } the write is logged with, see writeItem
+    createCategory(name, audit = {}) {
+        return this.writeItem("create", {
+            Name: name,
+            Type: "Category"
+        }, audit)
+    }
 
-                resolve(item)
+    createProduct(product, audit = {}) {
+        return this.writeItem("create", {
+            ...product,
+            Type: "Inventory"
+        }, audit)
+    }
+
+    updateProduct(product, audit = {}) {
+        return this.writeItem("update", product, audit)
+    }
+
+    // in the batch mode writes are queued for the batch endpoint, and the item index follows them.
+    // with an audit log the write is recorded once quickbooks has taken it, before being the item as it was before an update
+    async writeItem(operation, item, { run_id = null, reason = null, before = null } = {}) {
+        const written = this.batch_writer ?
+            await this.batch_writer.write(operation, "Item", item) :
+            await this.request(operation == "create" ? "createItem" : "updateItem", item)
+
+        if (this.item_index) {
+            (await this.item_index).put(written)
+        }
+
+        if (this.audit_log) {
+            await this.audit_log.append({
+                run_id,
+                timestamp: new Date().toISOString(),
+                reason,
+                operation,
+                item_id: written.Id,
+                type: written.Type,
+                sku: written.Sku || null,
+                name: written.Name,
+                before: operation == "create" ? null : before,
+                after: written
             })
-        })
+        }
+
+        return written
     }
 
-    createProduct(product) {
-        return new Promise((resolve, reject) => {
-            this.client.createItem({
-                ...product,
-                Type: "Inventory"
-            }, (err, item) => {
-                if (err) {
-                    reject(err)
-                    return
-                }
+    async findItemById(id) {
+        return this.request("getItem", id)
+    }
 
-                resolve(item)
+    // reads every inventory item and category, inactive ones included, with one paged query, so that a sync in the batch mode
+    // looks them up in memory. concurrent callers share the read, and refresh reads them again, e.g. at the start of a run
+    loadItemIndex({ refresh = false } = {}) {
+        if (!this.item_index || refresh) {
+            this.item_index = this.request("findItems", {
+                Type: ["Inventory", "Category"],
+                Active: [true, false],
+                fetchAll: true
+            }).then(res => new ItemIndex(res.QueryResponse && res.QueryResponse.Item ? res.QueryResponse.Item : [])).catch(err => {
+                this.item_index = null
+                throw err
             })
+        }
+
+        return this.item_index
+    }
+
+    // node-quickbooks has no wrapper for inventory adjustments so they are sent through the batch endpoint
+    async createInventoryAdjustment(adjustment) {
+        const res = await this.request("batch", [{
+            bId: "1",
+            operation: "create",
+            InventoryAdjustment: adjustment
+        }])
+
+        const [item_response] = res.BatchItemResponse
+        if (item_response.Fault) {
+            throw item_response
+        }
+
+        return item_response.InventoryAdjustment
+    }
+
+    createSalesReceipt(sales_receipt) {
+        return this.request("createSalesReceipt", sales_receipt)
+    }
+
+    async findSalesReceiptByDocNumber(doc_number) {
+        const res = await this.request("findSalesReceipts", {
+            DocNumber: doc_number
         })
+
+        return firstQueryResult(res, "SalesReceipt")
     }
 
-    updateProduct(product) {
-        return new Promise((resolve, reject) => {
-            this.client.updateItem(product, (err, item) => {
-                if (err) {
-                    reject(err)
-                    return
-                }
+    createRefundReceipt(refund_receipt) {
+        return this.request("createRefundReceipt", refund_receipt)
+    }
 
-                resolve(item)
-            })
+    async findRefundReceiptByDocNumber(doc_number) {
+        const res = await this.request("findRefundReceipts", {
+            DocNumber: doc_number
         })
+
+        return firstQueryResult(res, "RefundReceipt")
     }
 
-    findAccountByName(name) {
-        return new Promise((resolve, reject) => {
-            this.client.findAccounts({
-                Name: name
-            }, (err, res) => {
-                if (err) {
-                    reject(err)
-                    return
-                } 
-                
-                resolve(res.QueryResponse && res.QueryResponse.Account && res.QueryResponse.Account.length > 0 ? res.QueryResponse.Account[0] : null)
-            })
+    async findServiceByName(name) {
+        const res = await this.request("findItems", {
+            Name: name,
+            Type: "Service"
         })
+
+        return firstQueryResult(res, "Item")
     }
 
-    findCategoryByName(name) {
-        return new Promise((resolve, reject) => {
-            this.client.findItems({
-                Name: name,
-                Type: "Category"
-            }, (err, res) => {
-                if (err) {
-                    reject(err)
-                    return
-                }
+    createService(name, income_account_ref) {
+        return this.writeItem("create", {
+            Name: name,
+            Type: "Service",
+            IncomeAccountRef: income_account_ref
+        }, { reason: "new service" })
+    }
 
-                resolve(res.QueryResponse && res.QueryResponse.Item && res.QueryResponse.Item.length > 0 ? res.QueryResponse.Item[0] : null)
+    async findVendorByName(name) {
+        const res = await this.request("findVendors", {
+            DisplayName: name,
+            // an inactive vendor still holds its display name
+            Active: [true, false]
+        })
+
+        return firstActiveQueryResult(res, "Vendor")
+    }
+
+    // display names are shared by vendors, customers and employees, so with inactive vendors looked up too
+    // a taken name on create means a customer or an employee has it
+    async createVendor(name) {
+        try {
+            return await this.request("createVendor", {
+                DisplayName: name
             })
+        } catch (err) {
+            if (isDuplicateNameError(err)) {
+                throw new Error(`duplicate vendor name: ${name}; a quickbooks customer or employee has that display name, rename it to create the vendor`)
+            }
+
+            throw err
+        }
+    }
+
+    reactivateVendor(vendor) {
+        return this.request("updateVendor", {
+            Id: vendor.Id,
+            SyncToken: vendor.SyncToken,
+            sparse: true,
+            Active: true
         })
     }
 
-    findProductBySKU(sku) {
-        return new Promise((resolve, reject) => {
-            this.client.findItems({
-                Sku: sku,
-                Type: "Inventory"
-            }, (err, res) => {
-                if (err) {
-                    reject(err)
-                    return
-                }
+    // every vendor is looked up once, concurrent syncs of the same vendor's items sharing the lookup
+    findVendorOnce(name) {
+        const key = name.toLowerCase()
 
-                resolve(res.QueryResponse && res.QueryResponse.Item && res.QueryResponse.Item.length > 0 ? res.QueryResponse.Item[0] : null)
+        if (!this.found_vendors[key]) {
+            this.found_vendors[key] = this.findVendorByName(name).catch(err => {
+                delete this.found_vendors[key]
+                throw err
             })
-        })
+        }
+
+        return this.found_vendors[key]
+    }
+
+    // concurrent syncs of the same vendor's items share one create or reactivation, as with categories,
+    // and the vendor written takes the place of the one looked up
+    writeVendorOnce(name, write) {
+        const key = name.toLowerCase()
+
+        if (!this.written_vendors[key]) {
+            this.written_vendors[key] = write().then(vendor => {
+                this.found_vendors[key] = Promise.resolve(vendor)
+                return vendor
+            }).catch(err => {
+                delete this.written_vendors[key]
+                throw err
+            })
+        }
+
+        return this.written_vendors[key]
     }
 
-    findProductByName(name) {
-        return new Promise((resolve, reject) => {
-            this.client.findItems({
-                Name: name,
-                Type: "Inventory"
-            }, (err, res) => {
-                if (err) {
-                    reject(err)
-                    return
+    async findOrCreateVendor(name, { dry_run = false } = {}) {
+        const vendor = await this.findVendorOnce(name)
+        if (vendor && vendor.Active !== false) {
+            return { vendor, changes: [] }
+        }
+
+        if (vendor) {
+            const changes = [{
+                type: "reactivate_vendor",
+                name,
+                diff: [{ field: "Active", old: false, new: true }]
+            }]
+
+            return { vendor: dry_run ? vendor : await this.writeVendorOnce(name, () => this.reactivateVendor(vendor)), changes }
+        }
+
+        const changes = [{
+            type: "create_vendor",
+            name,
+            diff: [{ field: "DisplayName", old: null, new: name }]
+        }]
+
+        return { vendor: dry_run ? { Id: null, DisplayName: name } : await this.writeVendorOnce(name, () => this.createVendor(name)), changes }
+    }
+
+    createPurchaseOrder(purchase_order) {
+        return this.request("createPurchaseOrder", purchase_order)
+    }
+
+    // an open purchase order from the vendor for lines of { sku, quantity, unit_cost }, with unit_cost in the home currency.
+    // quickbooks has no draft purchase orders, an open one that hasn't been sent to the vendor is left for review
+    async draftPurchaseOrder(vendor_name, lines, { memo = "Shopify low stock", date = moment(new Date()).toISOString(true).slice(0, 10), dry_run = false } = {}) {
+        const { vendor, changes: vendor_changes } = await this.findOrCreateVendor(vendor_name, { dry_run })
+
+        let purchase_order_lines = []
+        for (const { sku, quantity, unit_cost } of lines) {
+            const product = await this.findProductBySKU(sku)
+            if (!product) {
+                throw new Error(`no quickbooks item found for sku: ${sku}`)
+            }
+
+            purchase_order_lines = purchase_order_lines.concat({
+                DetailType: "ItemBasedExpenseLineDetail",
+                Amount: roundMoney(unit_cost * quantity),
+                Description: product.PurchaseDesc || product.Name,
+                ItemBasedExpenseLineDetail: {
+                    ItemRef: { value: product.Id, name: product.Name },
+                    Qty: quantity,
+                    UnitPrice: unit_cost
                 }
+            })
+        }
+
+        const purchase_order = {
+            VendorRef: { value: vendor.Id, name: vendor.DisplayName },
+            TxnDate: date,
+            POStatus: "Open",
+            PrivateNote: memo,
+            Line: purchase_order_lines
+        }
+
+        const changes = vendor_changes.concat({
+            type: "create_purchase_order",
+            name: vendor_name,
+            purchase_order
+        })
+
+        const item = dry_run ? purchase_order : await this.createPurchaseOrder(purchase_order)
+
+        return { name: vendor_name, action: "created", item, changes }
+    }
+
+    async findAccountByName(name) {
+        const res = await this.request("findAccounts", {
+            Name: name
+        })
+
+        return firstQueryResult(res, "Account")
+    }
+
+    async findCategoryByName(name) {
+        if (this.batch) {
+            return (await this.loadItemIndex()).findCategory("Name", name)
+        }
+
+        const res = await this.request("findItems", {
+            Name: name,
+            Type: "Category"
+        })
+
+        return firstQueryResult(res, "Item")
+    }
+
+    async findProductBySKU(sku) {
+        if (this.batch) {
+            return (await this.loadItemIndex()).findProduct("Sku", sku)
+        }
+
+        const res = await this.request("findItems", {
+            Sku: sku,
+            Type: "Inventory",
+            // quickbooks leaves inactive items out of queries unless asked for them
+            Active: [true, false]
+        })
+
+        return firstActiveQueryResult(res, "Item")
+    }
+
+    async findProductByName(name) {
+        if (this.batch) {
+            return (await this.loadItemIndex()).findProduct("Name", name)
+        }
+
+        const res = await this.request("findItems", {
+            Name: name,
+            Type: "Inventory",
+            Active: [true, false]
+        })
+
+        return firstActiveQueryResult(res, "Item")
+    }
+
+    // the currency the company keeps its books in, prices and costs are converted into it before they are synced
+    async getHomeCurrency() {
+        if (!this.home_currency) {
+            const res = await this.request("getPreferences")
+            const currency_prefs = res.CurrencyPrefs || (res.Preferences && res.Preferences.CurrencyPrefs)
+
+            if (!currency_prefs || !currency_prefs.HomeCurrency) {
+                throw new Error("the quickbooks preferences have no home currency")
+            }
+
+            this.home_currency = currency_prefs.HomeCurrency.value
+        }
+
+        return this.home_currency
+    }
 
-                resolve(res.QueryResponse && res.QueryResponse.Item && res.QueryResponse.Item.length > 0 ? res.QueryResponse.Item[0] : null)
+    async findActiveProducts() {
+        const res = await this.request("findItems", {
+            Type: "Inventory",
+            Active: true,
+            fetchAll: true
+        })
+
+        return res.QueryResponse && res.QueryResponse.Item ? res.QueryResponse.Item : []
+    }
+
+    // categories created during this engine's lifetime are remembered by their path, so that products synced concurrently
+    // don't each try to create the same missing category
+    createCategoryOnce(path, parent = null, audit = {}) {
+        const key = path.join(":")
+
+        if (!this.created_categories[key]) {
+            const name = path[path.length - 1]
+            this.created_categories[key] = (parent ? this.createSubCategory(name, parent, audit) : this.createCategory(name, audit)).catch(err => {
+                delete this.created_categories[key]
+                throw err
             })
+        }
+
+        return this.created_categories[key]
+    }
+
+    async findCategoryByPath(path) {
+        if (this.batch) {
+            return (await this.loadItemIndex()).findCategory("FullyQualifiedName", path.join(":"))
+        }
+
+        const res = await this.request("findItems", {
+            FullyQualifiedName: path.join(":"),
+            Type: "Category"
         })
+
+        return firstQueryResult(res, "Item")
+    }
+
+    createSubCategory(name, parent, audit = {}) {
+        return this.writeItem("create", {
+            Name: name,
+            Type: "Category",
+            SubItem: true,
+            ParentRef: { value: parent.Id, name: parent.Name }
+        }, audit)
+    }
+
+    // finds the category at the end of the path, e.g. ["Shoes", "Running"] for Shoes:Running, creating any missing level under its parent.
+    // returns the category and a create_category change for each level that was missing. with dry_run nothing is created
+    // and missing categories are returned without an Id
+    async findOrCreateCategoryPath(path, { dry_run = false, run_id = null } = {}) {
+        let changes = []
+        let parent = null
+
+        for (let depth = 1; depth <= path.length; depth++) {
+            const name = path[depth - 1]
+            if (name.includes(":")) {
+                throw new Error(`invalid category name: ${name}; quickbooks uses ":" to separate category levels`)
+            }
+
+            // a missing parent means nothing below it can exist yet either
+            let category = !parent || parent.Id ? await this.findCategoryByPath(path.slice(0, depth)) : null
+
+            if (!category) {
+                changes = changes.concat({ type: "create_category", name: path.slice(0, depth).join(":") })
+                category = dry_run ? { Id: null, Name: name } : await this.createCategoryOnce(path.slice(0, depth), parent, { run_id, reason: "new category" })
+            }
+
+            parent = category
+        }
+
+        return { category: parent, changes }
     }
 
     async findOrCreateCategoryByName(name) {
@@ -152,39 +551,495 @@ class QuickBooksEngine {
         return category
     }
 
-    async resolveAccountRefs() {
-        const results = await Promise.all([this.findAccountByName("Sales of Product Income"), this.findAccountByName("Cost of Goods Sold"), this.findAccountByName("Inventory Asset")])
-        const refs = results.reduce((accounts, r) => {
-            if (r.Name == "Sales of Product Income") {
-                accounts = {
-                    ...accounts,
-                    income_account_ref: { value: r.Id, name: r.Name }
+    // an account is given by name, either as a string or as { name }, by { id } or by { sub_type }, the AccountSubType
+    async findAccount(account) {
+        const { name, id, sub_type } = typeof account == "string" ? { name: account } : account
+
+        if (id) {
+            const res = await this.request("findAccounts", { Id: id })
+            return firstQueryResult(res, "Account")
+        }
+
+        if (sub_type) {
+            const res = await this.request("findAccounts", { AccountSubType: sub_type, Active: true })
+            return firstQueryResult(res, "Account")
+        }
+
+        return this.findAccountByName(name)
+    }
+
+    // looks up every account in the mapping, including the per product type and per vendor overrides, and caches them in this.accounts.
+    // any account that can't be found fails the whole mapping, so that a run can stop before it creates a single item
+    async resolveAccounts({ refresh = false } = {}) {
+        if (this.accounts && !refresh) {
+            return this.accounts
+        }
+
+        const { overrides = {}, ...defaults } = this.account_mapping
+
+        let missing = []
+
+        const resolveRefs = async (mapping, scope) => {
+            let refs = {}
+
+            for (const role of Object.keys(mapping)) {
+                if (!ACCOUNT_REF_KEYS[role]) {
+                    throw new Error(`unknown account role: ${role} (${scope}); expected one of: ${Object.keys(ACCOUNT_REF_KEYS).join(", ")}`)
+                }
+
+                const account = await this.findAccount(mapping[role])
+                if (!account) {
+                    missing = missing.concat({ scope, role, account: mapping[role] })
+                    continue
+                }
+
+                refs[ACCOUNT_REF_KEYS[role]] = { value: account.Id, name: account.Name }
+            }
+
+            return refs
+        }
+
+        let accounts = {
+            default: await resolveRefs(defaults, "default"),
+            product_type: {},
+            vendor: {}
+        }
+
+        for (const group of ["product_type", "vendor"]) {
+            for (const key of Object.keys(overrides[group] || {})) {
+                accounts[group][key] = await resolveRefs(overrides[group][key], `${group} ${key}`)
+            }
+        }
+
+        if (missing.length > 0) {
+            throw new AccountMappingError(missing)
+        }
+
+        this.accounts = accounts
+
+        return accounts
+    }
+
+    // product type overrides take precedence over vendor overrides, which take precedence over the default accounts
+    async resolveAccountRefs(product = null) {
+        const accounts = await this.resolveAccounts()
+
+        return {
+            ...accounts.default,
+            ...(product && product.vendor ? accounts.vendor[product.vendor] : null),
+            ...(product && product.product_type ? accounts.product_type[product.product_type] : null)
+        }
+    }
+
+    // reads the company's tax codes and checks that every code in the tax mapping is among them, caching them in this.tax_codes.
+    // as with the accounts, any code that can't be found fails the whole mapping before a single item is created
+    async resolveTaxCodes({ refresh = false } = {}) {
+        if (this.tax_codes && !refresh) {
+            return this.tax_codes
+        }
+
+        const res = await this.request("findTaxCodes", { fetchAll: true })
+        const tax_codes = res.QueryResponse && res.QueryResponse.TaxCode ? res.QueryResponse.TaxCode : []
+
+        const missing = listTaxCodes(this.tax_mapping).filter(({ code }) => !findTaxCode(tax_codes, code))
+        if (missing.length > 0) {
+            throw new TaxMappingError(missing)
+        }
+
+        this.tax_codes = tax_codes
+
+        return tax_codes
+    }
+
+    // products without a tax mapping fail validation, see rule 115, so they don't get this far in a run
+    async resolveTaxCodeRefs(product) {
+        const tax_codes = await this.resolveTaxCodes()
+
+        const codes = selectTaxCodes(this.tax_mapping, product)
+        if (!codes) {
+            throw new Error(`no tax mapping for ${product.taxable ? "taxable" : "non-taxable"} sku ${product.sku} of product type ${product.product_type}`)
+        }
+
+        const toRef = code => {
+            const tax_code = findTaxCode(tax_codes, code)
+            return { value: tax_code.Id, name: tax_code.Name }
+        }
+
+        return {
+            SalesTaxCodeRef: toRef(codes.sales),
+            PurchaseTaxCodeRef: toRef(codes.purchase)
+        }
+    }
+
+    async deactivateProduct(product, { dry_run = false, run_id = null, reason = "deactivated" } = {}) {
+        const deactivated_product = {
+            ...product,
+            Active: false
+        }
+
+        const changes = [{
+            type: "deactivate",
+            id: product.Id,
+            sku: product.Sku,
+            diff: diffProduct(product, deactivated_product)
+        }]
+
+        const item = dry_run ? deactivated_product : await this.updateProduct({
+            ...deactivated_product,
+            sparse: false
+        }, { run_id, reason, before: product })
+
+        return { sku: product.Sku, action: "deactivated", item, changes }
+    }
+
+    // the writes of a run per item, as { item_id, first, last } audit entries. the items the run created come first, so that
+    // their names are free again before the items that yielded them get them back, then the updated items latest first
+    // on_skipped_line is told of the audit log lines that couldn't be read, see JSONLinesAuditLog
+    async findRunWrites(run_id, { on_skipped_line = null } = {}) {
+        if (!this.audit_log) {
+            throw new Error("rolling back a run needs an audit log")
+        }
+
+        const entries = await this.audit_log.findByRunId(run_id, { on_skipped_line })
+
+        let writes = new Map()
+        entries.forEach(entry => {
+            const item_writes = writes.get(entry.item_id)
+            writes.set(entry.item_id, item_writes ? { ...item_writes, last: entry } : { item_id: entry.item_id, first: entry, last: entry })
+        })
+
+        const item_writes = [...writes.values()]
+
+        return item_writes.filter(({ first }) => first.operation == "create")
+            .concat(item_writes.filter(({ first }) => first.operation != "create").reverse())
+    }
+
+    // puts an item back the way it was before the run wrote to it. an item the run created yields its name and is deactivated,
+    // as quickbooks doesn't delete items, and categories are kept as other items may have been filed under them since.
+    // an item changed after the run is a conflict, and left alone unless forced
+    async rollbackItem({ item_id, first, last }, { dry_run = false, force = false, run_id = null, reason = "rollback" } = {}) {
+        const sku = last.after.Sku || null
+
+        if (first.type == "Category") {
+            return { id: item_id, sku, action: "unchanged", item: last.after, changes: [], conflict: null }
+        }
+
+        const current = await this.findItemById(item_id)
+
+        if (current.SyncToken != last.after.SyncToken && !force) {
+            const conflict = `item ${item_id} was changed after the run, its SyncToken is ${current.SyncToken} rather than ${last.after.SyncToken}`
+            return { id: item_id, sku, action: "skipped", item: current, changes: [], conflict }
+        }
+
+        let restored_product = { ...current }
+        if (first.operation == "create") {
+            restored_product.Name = `_${current.Sku}`
+            restored_product.Active = false
+        } else {
+            ROLLBACK_FIELDS.forEach(field => {
+                if (first.before[field] === undefined) {
+                    delete restored_product[field]
+                } else {
+                    restored_product[field] = first.before[field]
                 }
+            })
+        }
+
+        const diff = diffProduct(current, restored_product)
+        if (diff.length == 0) {
+            return { id: item_id, sku, action: "unchanged", item: current, changes: [], conflict: null }
+        }
+
+        const changes = [{ type: "rollback", id: item_id, sku, diff }]
+
+        const item = dry_run ? restored_product : await this.updateProduct({
+            ...restored_product,
+            sparse: false
+        }, { run_id, reason, before: current })
+
+        return { id: item_id, sku, action: first.operation == "create" ? "deactivated" : "updated", item, changes, conflict: null }
+    }
+
+    // brings QtyOnHand in line with product.quantity through an inventory adjustment dated date and noted with memo
+    async adjustInventory(product, { memo = "Shopify inventory sync", date = moment(new Date()).toISOString(true).slice(0, 10), dry_run = false } = {}) {
+        if (product.quantity === null || product.quantity === undefined) {
+            throw new Error(`missing quantity for sku: ${product.sku}`)
+        }
+
+        const existing_product = await this.findProductBySKU(product.sku)
+        if (!existing_product) {
+            throw new Error(`no quickbooks item found for sku: ${product.sku}`)
+        }
+
+        const previous_quantity = existing_product.QtyOnHand || 0
+        const delta = product.quantity - previous_quantity
+
+        if (delta == 0) {
+            return { sku: product.sku, action: "unchanged", previous_quantity, quantity: product.quantity, delta, changes: [] }
+        }
+
+        const changes = [{
+            type: "adjust_quantity",
+            id: existing_product.Id,
+            sku: product.sku,
+            memo,
+            date,
+            diff: [{ field: "QtyOnHand", old: previous_quantity, new: product.quantity }]
+        }]
+
+        if (!dry_run) {
+            const account = await this.findAccount(this.adjustment_account)
+            if (!account) {
+                throw new Error(`inventory adjustment account not found: ${JSON.stringify(this.adjustment_account)}`)
             }
 
-            if (r.Name == "Cost of Goods Sold") {
-                accounts = {
-                    ...accounts,
-                    expense_account_ref: { value: r.Id, name: r.Name }
+            await this.createInventoryAdjustment({
+                TxnDate: date,
+                PrivateNote: memo,
+                AdjustAccountRef: { value: account.Id, name: account.Name },
+                Line: [{
+                    DetailType: "ItemAdjustmentLineDetail",
+                    ItemAdjustmentLineDetail: {
+                        ItemRef: { value: existing_product.Id, name: existing_product.Name },
+                        QtyDiff: delta
+                    }
+                }]
+            })
+
+            // the adjustment moves the item's quantity and SyncToken without an item write, so the index reads the item again
+            if (this.item_index) {
+                (await this.item_index).put(await this.findItemById(existing_product.Id))
+            }
+        }
+
+        return { sku: product.sku, action: "adjusted", previous_quantity, quantity: product.quantity, delta, changes }
+    }
+
+    // the shopify order id is kept in DocNumber so an order that was already posted is never posted twice
+    async syncOrder(order, { dry_run = false } = {}) {
+        const doc_number = order.legacy_id
+
+        const existing_receipt = await this.findSalesReceiptByDocNumber(doc_number)
+        if (existing_receipt) {
+            return { id: order.id, action: "unchanged", item: existing_receipt, changes: [] }
+        }
+
+        let lines = []
+        for (const { sku, title, quantity, unit_price } of order.line_items) {
+            const product = sku ? await this.findProductBySKU(sku) : null
+            if (!product) {
+                throw new Error(`no quickbooks item found for sku: ${sku} in order: ${order.name}`)
+            }
+
+            lines = lines.concat({
+                DetailType: "SalesItemLineDetail",
+                Amount: roundMoney(parseFloat(unit_price) * quantity),
+                Description: title,
+                SalesItemLineDetail: {
+                    ItemRef: { value: product.Id, name: product.Name },
+                    Qty: quantity,
+                    UnitPrice: parseFloat(unit_price)
+                }
+            })
+        }
+
+        const shipping = parseFloat(order.shipping)
+        if (shipping > 0) {
+            lines = lines.concat({
+                DetailType: "SalesItemLineDetail",
+                Amount: roundMoney(shipping),
+                Description: "Shipping",
+                SalesItemLineDetail: {
+                    ItemRef: { value: "SHIPPING_ITEM_ID" }
+                }
+            })
+        }
+
+        const discount = parseFloat(order.discount)
+        if (discount > 0) {
+            lines = lines.concat({
+                DetailType: "DiscountLineDetail",
+                Amount: roundMoney(discount),
+                DiscountLineDetail: {
+                    PercentBased: false
+                }
+            })
+        }
+
+        const tax = parseFloat(order.tax)
+
+        // a shop that includes taxes in its prices has them in the line amounts already,
+        // quickbooks would add TotalTax on top of them unless told the amounts are tax inclusive
+        const sales_receipt = {
+            DocNumber: doc_number,
+            TxnDate: order.processed_at.slice(0, 10),
+            PrivateNote: `shopify order: ${order.id} (${order.name})`,
+            Line: lines,
+            GlobalTaxCalculation: order.taxes_included ? "TaxInclusive" : undefined,
+            TxnTaxDetail: tax > 0 ? { TotalTax: roundMoney(tax) } : undefined
+        }
+
+        const changes = [{
+            type: "create_sales_receipt",
+            doc_number,
+            receipt: sales_receipt
+        }]
+
+        const item = dry_run ? sales_receipt : await this.createSalesReceipt(sales_receipt)
+
+        return { id: order.id, action: "created", item, changes }
+    }
+
+    // refunded amounts that don't go back into stock are booked against this service item
+    async findOrCreateRefundItem() {
+        let item = await this.findServiceByName(this.refund_item)
+        if (!item) {
+            const accounts = await this.resolveAccountRefs()
+            item = await this.createService(this.refund_item, accounts.income_account_ref)
+        }
+
+        return item
+    }
+
+    // restocked lines are refunded against their inventory item, which puts the quantity back on hand,
+    // while the shopify refund and order ids are kept in DocNumber and PrivateNote for reconciliation
+    async syncRefund(order, refund, { dry_run = false } = {}) {
+        const doc_number = refund.legacy_id
+
+        const existing_receipt = await this.findRefundReceiptByDocNumber(doc_number)
+        if (existing_receipt) {
+            return { id: refund.id, action: "unchanged", item: existing_receipt, changes: [] }
+        }
+
+        let changes = []
+        let lines = []
+        let refund_item = null
+        let tax = 0
+
+        const resolveRefundItem = async () => {
+            if (!refund_item) {
+                refund_item = await this.findServiceByName(this.refund_item)
+                if (!refund_item) {
+                    changes = changes.concat({ type: "create_service", name: this.refund_item })
+                    refund_item = dry_run ? { Id: null, Name: this.refund_item } : await this.findOrCreateRefundItem()
                 }
             }
 
-            if (r.Name == "Inventory Asset") {
-                accounts = {
-                    ...accounts,
-                    asset_account_ref: { value: r.Id, name: r.Name }
+            return refund_item
+        }
+
+        for (const { sku, title, quantity, restocked, subtotal, tax: line_tax } of refund.line_items) {
+            const amount = roundMoney(parseFloat(subtotal))
+            tax += parseFloat(line_tax)
+
+            // a line refunded with a quantity of 0 puts nothing back in stock, it is only an amount
+            if (restocked && quantity > 0) {
+                const product = sku ? await this.findProductBySKU(sku) : null
+                if (!product) {
+                    throw new Error(`no quickbooks item found for sku: ${sku} in order: ${order.name}`)
                 }
+
+                lines = lines.concat({
+                    DetailType: "SalesItemLineDetail",
+                    Amount: amount,
+                    Description: title,
+                    SalesItemLineDetail: {
+                        ItemRef: { value: product.Id, name: product.Name },
+                        Qty: quantity,
+                        UnitPrice: roundMoney(amount / quantity)
+                    }
+                })
+                continue
             }
 
-            return accounts
-        }, {})
+            const service = await resolveRefundItem()
+            lines = lines.concat({
+                DetailType: "SalesItemLineDetail",
+                Amount: amount,
+                Description: `${title} x ${quantity}${sku ? ` (${sku})` : ""}, not restocked`,
+                SalesItemLineDetail: {
+                    ItemRef: { value: service.Id, name: service.Name }
+                }
+            })
+        }
 
-        return refs
+        const shipping = parseFloat(refund.shipping)
+        if (shipping > 0) {
+            lines = lines.concat({
+                DetailType: "SalesItemLineDetail",
+                Amount: roundMoney(shipping),
+                Description: "Shipping",
+                SalesItemLineDetail: {
+                    ItemRef: { value: "SHIPPING_ITEM_ID" }
+                }
+            })
+        }
+
+        const adjustment = parseFloat(refund.adjustment)
+        if (adjustment > 0) {
+            const service = await resolveRefundItem()
+            lines = lines.concat({
+                DetailType: "SalesItemLineDetail",
+                Amount: roundMoney(adjustment),
+                Description: "Refund adjustment",
+                SalesItemLineDetail: {
+                    ItemRef: { value: service.Id, name: service.Name }
+                }
+            })
+        }
+
+        const account = await this.findAccount(this.refund_account)
+        if (!account) {
+            throw new Error(`refund account not found: ${JSON.stringify(this.refund_account)}`)
+        }
+
+        const refund_receipt = {
+            DocNumber: doc_number,
+            TxnDate: refund.created_at.slice(0, 10),
+            PrivateNote: `shopify refund: ${refund.id} of order: ${order.id} (${order.name})${refund.note ? `; ${refund.note}` : ""}`,
+            DepositToAccountRef: { value: account.Id, name: account.Name },
+            Line: lines,
+            // as with the sales receipt of the order
+            GlobalTaxCalculation: order.taxes_included ? "TaxInclusive" : undefined,
+            TxnTaxDetail: tax > 0 ? { TotalTax: roundMoney(tax) } : undefined
+        }
+
+        changes = changes.concat({
+            type: "create_refund_receipt",
+            doc_number,
+            receipt: refund_receipt
+        })
+
+        const item = dry_run ? refund_receipt : await this.createRefundReceipt(refund_receipt)
+
+        return { id: refund.id, action: "created", item, changes }
     }
 
-    async syncProduct(product) {
-        const latest_category = product.category ? await this.findOrCreateCategoryByName(product.category) : null
-        
+    // with dry_run set the same lookups are made but no writes are sent to quickbooks,
+    // the intended writes are returned in changes instead.
+    // field_sources and last_synced decide which side wins for UnitPrice and PurchaseCost, see resolveFieldSources;
+    // values quickbooks wins are returned in writeback for the caller to apply to shopify.
+    // owns(item) tells whether an item belongs to the store being synced, an item that doesn't is never renamed or updated
+    // run_id ties the writes to the run in the audit log
+    async syncProduct(product, { dry_run = false, field_sources = {}, last_synced = null, owns = null, run_id = null } = {}) {
+        let changes = []
+
+        // a null category path leaves the item in whatever category it is in
+        let latest_category = null
+        if (product.category_path && product.category_path.length > 0) {
+            const { category, changes: category_changes } = await this.findOrCreateCategoryPath(product.category_path, { dry_run, run_id })
+            latest_category = category
+            changes = changes.concat(category_changes)
+        }
+
+        // an item whose shopify product has no vendor keeps whatever preferred vendor it has
+        let latest_vendor = null
+        if (this.vendors && product.vendor) {
+            const { vendor, changes: vendor_changes } = await this.findOrCreateVendor(product.vendor, { dry_run })
+            latest_vendor = vendor
+            changes = changes.concat(vendor_changes)
+        }
+
         const latest_product = {
             Name: product.name,
             Sku: product.sku,
@@ -192,9 +1047,12 @@ class QuickBooksEngine {
             PurchaseDesc: product.description,
             UnitPrice: product.unit_price,
             PurchaseCost: product.purchase_cost,
-            Taxable: product.taxable,
-            SubItem: latest_category ? true : false,
-            ParentRef: latest_category ? { value: latest_category.value, name: latest_category.name } : null
+            ...(this.tax_mapping ? await this.resolveTaxCodeRefs(product) : { Taxable: product.taxable }),
+            ...(product.category_path ? {
+                SubItem: latest_category ? true : false,
+                ParentRef: latest_category ? { value: latest_category.Id, name: latest_category.Name } : null
+            } : {}),
+            ...(latest_vendor ? { PrefVendorRef: { value: latest_vendor.Id, name: latest_vendor.DisplayName } } : {})
         }
 
         let existing_product
@@ -206,14 +1064,29 @@ class QuickBooksEngine {
         if (same_name_product) {
             if (same_name_product.Sku == latest_product.Sku) {
                 existing_product = same_name_product
+            } else if (owns && !owns(same_name_product)) {
+                throw new Error(`duplicate name: ${latest_product.Name}; the name is in use by item ${same_name_product.Id} with sku ${same_name_product.Sku}, which belongs to another store`)
             } else {
                 // time to inactivate and yield the name from same_name_product
-                await this.updateProduct({
+                const yielded_product = {
                     ...same_name_product,
                     Name: `_${same_name_product.Sku}`,
-                    Active: false,
-                    sparse: false
+                    Active: false
+                }
+
+                changes = changes.concat({
+                    type: "yield_name",
+                    id: same_name_product.Id,
+                    sku: same_name_product.Sku,
+                    diff: diffProduct(same_name_product, yielded_product)
                 })
+
+                if (!dry_run) {
+                    await this.updateProduct({
+                        ...yielded_product,
+                        sparse: false
+                    }, { run_id, reason: "name collision yield", before: same_name_product })
+                }
             }
         }
 
@@ -222,46 +1095,289 @@ class QuickBooksEngine {
             existing_product = await this.findProductBySKU(latest_product.Sku)
         }
 
+        if (existing_product && owns && !owns(existing_product)) {
+            throw new Error(`item ${existing_product.Id} with sku ${latest_product.Sku} belongs to another store`)
+        }
+
         if (existing_product) {
-            if (didChangeProductContent(existing_product, latest_product) || !existing_product.Active) {
-                // update product
-                await this.updateProduct({
+            const { product: resolved_product, writeback, conflicts, synced_fields } = resolveFieldSources(existing_product, latest_product, { field_sources, last_synced })
+
+            if (Object.keys(writeback).length > 0) {
+                changes = changes.concat({
+                    type: "shopify_writeback",
+                    id: existing_product.Id,
+                    sku: latest_product.Sku,
+                    diff: Object.keys(writeback).map(field => ({ field, old: latest_product[field], new: writeback[field] }))
+                })
+            }
+
+            if (didChangeProductContent(existing_product, resolved_product) || !existing_product.Active) {
+                const updated_product = {
                     ...existing_product,
-                    ...latest_product,
-                    Active: true,
-                    sparse: false
+                    ...resolved_product,
+                    Active: true
+                }
+
+                changes = changes.concat({
+                    type: "update",
+                    id: existing_product.Id,
+                    sku: latest_product.Sku,
+                    diff: diffProduct(existing_product, updated_product)
                 })
+
+                // update product
+                const item = dry_run ? updated_product : await this.updateProduct({
+                    ...updated_product,
+                    sparse: false
+                }, { run_id, reason: existing_product.Active ? "content changed" : "reactivated", before: existing_product })
+
+                return { sku: latest_product.Sku, action: "updated", item, changes, writeback, conflicts, synced_fields }
             }
             
-            return
+            return { sku: latest_product.Sku, action: "unchanged", item: existing_product, changes, writeback, conflicts, synced_fields }
         }
 
-        // create product
-        const accounts = await this.resolveAccountRefs()
-        await this.createProduct({
+        const new_product = {
             ...latest_product,
             Active: true,
             TrackQtyOnHand: true,
             QtyOnHand: 0,
-            InvStartDate: moment(new Date()).toISOString(true).slice(0, 10),
+            InvStartDate: moment(new Date()).toISOString(true).slice(0, 10)
+        }
+
+        changes = changes.concat({
+            type: "create",
+            sku: latest_product.Sku,
+            diff: diffProduct({}, new_product)
+        })
+
+        const synced_fields = pickTwoWayFields(new_product)
+
+        if (dry_run) {
+            return { sku: latest_product.Sku, action: "created", item: new_product, changes, writeback: {}, conflicts: [], synced_fields }
+        }
+
+        // create product
+        const accounts = await this.resolveAccountRefs(product)
+        const item = await this.createProduct({
+            ...new_product,
             IncomeAccountRef: accounts.income_account_ref,
             ExpenseAccountRef: accounts.expense_account_ref,
             AssetAccountRef: accounts.asset_account_ref
-        })
+        }, { run_id, reason: "new product" })
+
+        return { sku: latest_product.Sku, action: "created", item, changes, writeback: {}, conflicts: [], synced_fields }
     }
 }
 
 const didChangeProductContent = (existing_product, latest_product) => {
     return !(
-        ((!existing_product.ParentRef && !latest_product.ParentRef) || (existing_product.ParentRef && latest_product.ParentRef && existing_product.ParentRef.value == latest_product.ParentRef.value)) &&
+        (latest_product.ParentRef === undefined || (!existing_product.ParentRef && !latest_product.ParentRef) || (existing_product.ParentRef && latest_product.ParentRef && existing_product.ParentRef.value == latest_product.ParentRef.value)) &&
+        (latest_product.PrefVendorRef === undefined || (existing_product.PrefVendorRef && existing_product.PrefVendorRef.value == latest_product.PrefVendorRef.value)) &&
         existing_product.Name == latest_product.Name &&
         existing_product.Sku == latest_product.Sku &&
         existing_product.Description == latest_product.Description &&
         existing_product.UnitPrice == latest_product.UnitPrice &&
-        existing_product.PurchaseCost == latest_product.PurchaseCost
+        existing_product.PurchaseCost == latest_product.PurchaseCost &&
+        (latest_product.Taxable === undefined || Boolean(existing_product.Taxable) == Boolean(latest_product.Taxable)) &&
+        (latest_product.SalesTaxCodeRef === undefined || (existing_product.SalesTaxCodeRef && existing_product.SalesTaxCodeRef.value == latest_product.SalesTaxCodeRef.value)) &&
+        (latest_product.PurchaseTaxCodeRef === undefined || (existing_product.PurchaseTaxCodeRef && existing_product.PurchaseTaxCodeRef.value == latest_product.PurchaseTaxCodeRef.value))
     )
 }
 
+class AccountMappingError extends Error {
+    constructor(missing) {
+        super(`quickbooks accounts not found: ${missing.map(({ scope, role, account }) => `${role} account ${JSON.stringify(account)} (${scope})`).join(", ")}`)
+        this.name = "AccountMappingError"
+        this.missing = missing
+    }
+}
+
+class TaxMappingError extends Error {
+    constructor(missing) {
+        super(`quickbooks tax codes not found: ${missing.map(({ scope, role, code }) => `${role} tax code ${JSON.stringify(code)} (${scope})`).join(", ")}`)
+        this.name = "TaxMappingError"
+        this.missing = missing
+    }
+}
+
+const DEFAULT_ACCOUNT_MAPPING = {
+    income: "Sales of Product Income",
+    expense: "Cost of Goods Sold",
+    asset: "Inventory Asset"
+}
+
+const ACCOUNT_REF_KEYS = {
+    income: "income_account_ref",
+    expense: "expense_account_ref",
+    asset: "asset_account_ref"
+}
+
+const callClient = (client, method, args) => {
+    return new Promise((resolve, reject) => {
+        client[method](...args, (err, res) => {
+            if (err) {
+                reject(err)
+                return
+            }
+
+            resolve(res)
+        })
+    })
+}
+
+const firstQueryResult = (res, entity) => {
+    return res.QueryResponse && res.QueryResponse[entity] && res.QueryResponse[entity].length > 0 ? res.QueryResponse[entity][0] : null
+}
+
+// an active match is preferred over an inactive one
+const firstActiveQueryResult = (res, entity) => {
+    const results = res.QueryResponse && res.QueryResponse[entity] ? res.QueryResponse[entity] : []
+    return results.find(({ Active }) => Active) || results[0] || null
+}
+
+// node-quickbooks rejects with the response body, so failures are told apart by their fault rather than a status code
+const faultOf = err => {
+    return err && typeof err == "object" ? err.Fault || err.fault || null : null
+}
+
+const faultErrorsOf = err => {
+    const fault = faultOf(err)
+    return fault ? fault.Error || fault.error || [] : []
+}
+
+// quickbooks answers an expired or revoked access token with an AUTHENTICATION fault, error code 3200
+const isAuthenticationError = err => {
+    const fault = faultOf(err)
+    return fault ? (fault.type && fault.type.toUpperCase() == "AUTHENTICATION") || faultErrorsOf(err).some(({ code }) => code == "3200") : false
+}
+
+// a name taken by another item, or by another vendor, customer or employee, is a Duplicate Name Exists fault, error code 6240
+const isDuplicateNameError = err => {
+    return faultErrorsOf(err).some(({ code }) => code == "6240")
+}
+
+// a 429 comes back as a ThrottleExceeded fault, error code 3001
+const isThrottleError = err => {
+    if (typeof err == "string") {
+        return /throttle/i.test(err)
+    }
+
+    return faultErrorsOf(err).some(e => e.code == "3001" || /throttle/i.test(e.Message || e.message || ""))
+}
+
+const RETRYABLE_NETWORK_ERRORS = ["ECONNRESET", "ETIMEDOUT", "ESOCKETTIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE"]
+
+// besides throttling, 5xx responses arrive as a SystemFault or as an html error page, and network errors as plain errors
+const isRetryableError = err => {
+    if (isThrottleError(err)) {
+        return true
+    }
+
+    if (typeof err == "string") {
+        return err.indexOf("<") === 0
+    }
+
+    if (err && RETRYABLE_NETWORK_ERRORS.includes(err.code)) {
+        return true
+    }
+
+    const fault = faultOf(err)
+    return fault ? (fault.type || "").toUpperCase() == "SYSTEMFAULT" || faultErrorsOf(err).some(({ code }) => code == "10000") : false
+}
+
+const READ_METHOD_PATTERN = /^(find|get|report)/
+
+const roundMoney = amount => {
+    return Math.round(amount * 100) / 100
+}
+
+// fields that can be owned by either side, a field_sources entry sets each one to
+// "shopify" (the default), where shopify always wins,
+// "quickbooks", where quickbooks always wins and its value is written back to shopify,
+// or "conflict", where the side that changed since the last sync wins, and a change on both sides is reported as a conflict
+// and left alone on both sides until someone resolves it. without a last synced value to compare against shopify wins
+const TWO_WAY_FIELDS = ["UnitPrice", "PurchaseCost"]
+
+const pickTwoWayFields = product => {
+    return TWO_WAY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: product[field] === undefined ? null : product[field] }), {})
+}
+
+const sameValue = (a, b) => {
+    return (a === null || a === undefined) ? (b === null || b === undefined) : a == b
+}
+
+const resolveFieldSources = (existing_product, latest_product, { field_sources = {}, last_synced = null } = {}) => {
+    let product = { ...latest_product }
+    let writeback = {}
+    let conflicts = []
+    let synced_fields = {}
+
+    TWO_WAY_FIELDS.forEach(field => {
+        const source = field_sources[field] || "shopify"
+        const shopify_value = latest_product[field]
+        const quickbooks_value = existing_product[field] === undefined ? null : existing_product[field]
+        const last_synced_value = last_synced && last_synced[field] !== undefined ? last_synced[field] : undefined
+
+        const useQuickBooks = () => {
+            product[field] = quickbooks_value
+            writeback[field] = quickbooks_value
+            synced_fields[field] = quickbooks_value
+        }
+
+        if (source == "shopify" || sameValue(shopify_value, quickbooks_value)) {
+            synced_fields[field] = shopify_value
+        } else if (source == "quickbooks") {
+            useQuickBooks()
+        } else if (source == "conflict") {
+            const quickbooks_changed = last_synced_value !== undefined && !sameValue(quickbooks_value, last_synced_value)
+            const shopify_changed = last_synced_value === undefined || !sameValue(shopify_value, last_synced_value)
+
+            if (quickbooks_changed && shopify_changed) {
+                product[field] = quickbooks_value
+                synced_fields[field] = last_synced_value
+                conflicts = conflicts.concat({ field, shopify: shopify_value, quickbooks: quickbooks_value, last_synced: last_synced_value })
+            } else if (quickbooks_changed) {
+                useQuickBooks()
+            } else {
+                synced_fields[field] = shopify_value
+            }
+        } else {
+            throw new Error(`unknown source for ${field}: ${source}; expected shopify, quickbooks or conflict`)
+        }
+    })
+
+    return { product, writeback, conflicts, synced_fields }
+}
+
+// the fields a sync writes, which a rollback puts back
+const ROLLBACK_FIELDS = ["Name", "Sku", "Description", "PurchaseDesc", "UnitPrice", "PurchaseCost", "Taxable", "SalesTaxCodeRef", "PurchaseTaxCodeRef", "Active", "SubItem", "ParentRef", "PrefVendorRef", "IncomeAccountRef", "ExpenseAccountRef", "AssetAccountRef"]
+
+const DIFFED_PRODUCT_FIELDS = ["Name", "Sku", "Description", "PurchaseDesc", "UnitPrice", "PurchaseCost", "Taxable", "SalesTaxCodeRef", "PurchaseTaxCodeRef", "SubItem", "ParentRef", "PrefVendorRef", "Active", "TrackQtyOnHand", "QtyOnHand", "InvStartDate"]
+
+// field level diff between two versions of an item, refs are compared by value only
+const diffProduct = (old_product, new_product) => {
+    let diff = []
+
+    DIFFED_PRODUCT_FIELDS.forEach(field => {
+        const old_value = old_product[field] === undefined ? null : old_product[field]
+        const new_value = new_product[field] === undefined ? null : new_product[field]
+
+        const changed = field.endsWith("Ref") ?
+            (old_value ? old_value.value : null) != (new_value ? new_value.value : null) || (old_value ? old_value.name : null) != (new_value ? new_value.name : null) :
+            old_value != new_value
+
+        if (changed) {
+            diff = diff.concat({ field, old: old_value, new: new_value })
+        }
+    })
+
+    return diff
+}
+
 module.exports = {
-    QuickBooksEngine
+    QuickBooksEngine,
+    AccountMappingError,
+    TaxMappingError,
+    diffProduct
 }
\ No newline at end of file
@@ -0,0 +1,240 @@
+const fs = require("fs")
+const { logProductVariantValidationResults } = require("./shopify_engine")
+const { logRunResults } = require("./sync_runner")
+
+// a reporter renders a validation report ({ ok, results } from validateProductVariants) and a run summary
+// (from SyncRunner) as a string. the console reporter is the exception, it prints the existing colored output itself
+const reporters = {
+    console: {
+        print: true,
+        validation: logProductVariantValidationResults,
+        run: logRunResults
+    },
+    json: {
+        validation: report => toJSON(report),
+        run: summary => toJSON(summary)
+    },
+    csv: {
+        validation: ({ results }) => toCSV(["id", "product_id", "title", "status", "severity", "code", "message"], results.reduce((rows, { id, product_id, title, errors, warnings = [] }) => {
+            const status = validationStatus({ errors, warnings })
+            const issues = errors.map(error => ({ ...error, severity: "error" })).concat(warnings.map(warning => ({ ...warning, severity: "warning" })))
+
+            if (issues.length == 0) {
+                return rows.concat([[id, product_id, title, status, "", "", ""]])
+            }
+
+            return rows.concat(issues.map(({ severity, code, message }) => [id, product_id, title, status, severity, code, message]))
+        }, [])),
+        run: ({ results }) => toCSV(["id", "sku", "name", "status", "changes", "code", "message"], results.reduce((rows, { id, sku, name, status, changes = [], conflicts = [], errors }) => {
+            const change_types = changes.map(({ type }) => type).join(" ")
+            const issues = errors.concat(conflicts.map(conflict => ({ code: "conflict", message: describeConflict(conflict) })))
+
+            if (issues.length == 0) {
+                return rows.concat([[id, sku, name, status, change_types, "", ""]])
+            }
+
+            return rows.concat(issues.map(({ code, message }) => [id, sku, name, status, change_types, code, message]))
+        }, []))
+    },
+    junit: {
+        validation: ({ results }) => toJUnit("product variant validation", results.map(({ id, product_id, title, errors, warnings = [] }) => ({
+            classname: `product ${product_id}`,
+            name: `${id} ${title}`,
+            failures: errors.map(({ code, message }) => `${code} ${message}`),
+            output: warnings.map(({ code, message }) => `warning ${code} ${message}`)
+        }))),
+        run: ({ dry_run, results }) => toJUnit(dry_run ? "quickbooks sync plan" : "quickbooks sync", results.map(({ id, sku, name, status, conflicts = [], errors }) => ({
+            classname: sku ? `sku ${sku}` : `${name || id}`,
+            name: `${id} ${status}`,
+            failures: (status == "failed" ? errors.map(({ message }) => message) : []).concat(conflicts.map(describeConflict)),
+            skipped: status == "skipped" ? errors.map(({ code, message }) => `${code} ${message}`) : []
+        })))
+    },
+    html: {
+        validation: ({ ok, results }) => toHTML({
+            title: "Product variant validation",
+            summary: ok ? "all variants passed validation" : "some variants did not pass validation",
+            ok,
+            columns: ["id", "product id", "title", "status", "issues"],
+            rows: results.map(({ id, product_id, title, errors, warnings = [] }) => ({
+                status: validationStatus({ errors, warnings }),
+                cells: [id, product_id, title, validationStatus({ errors, warnings }), errors.concat(warnings).map(({ code, message }) => `${code} ${message}`)]
+            }))
+        }),
+        run: ({ ok, dry_run, run_id = null, results, warnings = [], ...counts }) => toHTML({
+            title: dry_run ? "QuickBooks sync plan" : "QuickBooks sync",
+            summary: [Object.keys(counts).filter(status => counts[status] > 0).map(status => `${counts[status]} ${status}`).join(", ") || "nothing to sync"]
+                .concat(warnings.map(({ message }) => `warning: ${message}`)).join("; "),
+            ok,
+            columns: ["id", "sku", "status", "changes", "errors"],
+            rows: results.map(({ id, sku, name, status, changes = [], conflicts = [], errors }) => ({
+                status: conflicts.length > 0 ? "conflict" : status,
+                cells: [id, sku || name, status, changes.map(describeChange), errors.map(({ code, message }) => code ? `${code} ${message}` : message).concat(conflicts.map(describeConflict))]
+            }))
+        })
+    }
+}
+
+const registerReporter = (format, reporter) => {
+    if (typeof reporter.validation != "function" || typeof reporter.run != "function") {
+        throw new Error(`reporter ${format} needs a validation and a run function`)
+    }
+
+    reporters[format] = reporter
+}
+
+// failures_only keeps the variants that failed validation, or the results that failed, were skipped or have conflicts in a run
+const filterReport = (report, kind, failures_only) => {
+    if (!failures_only) {
+        return report
+    }
+
+    const results = report.results.filter(result => kind == "validation" ? result.errors.length > 0 : result.status == "failed" || result.status == "skipped" || (result.conflicts || []).length > 0)
+    return {
+        ...report,
+        results
+    }
+}
+
+// kind is "validation" or "run"
+const renderReport = (report, { kind, format = "json", failures_only = false } = {}) => {
+    const reporter = reporters[format]
+    if (!reporter || reporter.print) {
+        throw new Error(`no reporter renders ${format}; expected one of: ${Object.keys(reporters).filter(name => !reporters[name].print).join(", ")}`)
+    }
+
+    return reporter[kind](filterReport(report, kind, failures_only))
+}
+
+// prints the report, or writes it to output when given
+const writeReport = (report, { kind, format = "console", failures_only = false, output = null } = {}) => {
+    const reporter = reporters[format]
+    if (!reporter) {
+        throw new Error(`unknown report format: ${format}; expected one of: ${Object.keys(reporters).join(", ")}`)
+    }
+
+    if (reporter.print) {
+        reporter[kind](filterReport(report, kind, failures_only))
+        return
+    }
+
+    const rendered = renderReport(report, { kind, format, failures_only })
+
+    if (output) {
+        fs.writeFileSync(output, rendered)
+    } else {
+        console.log(rendered)
+    }
+}
+
+const validationStatus = ({ errors, warnings }) => {
+    return errors.length > 0 ? "failed" : warnings.length > 0 ? "passed with warnings" : "passed"
+}
+
+const describeChange = ({ type, sku, name, diff }) => {
+    const fields = diff ? diff.map(({ field, old, new: value }) => `${field}: ${JSON.stringify(old)} -> ${JSON.stringify(value)}`) : []
+    return `${type}${sku || name ? ` ${sku || name}` : ""}${fields.length > 0 ? ` (${fields.join(", ")})` : ""}`
+}
+
+const describeConflict = ({ field, shopify, quickbooks, last_synced }) => {
+    return `conflict on ${field}: shopify ${JSON.stringify(shopify)}, quickbooks ${JSON.stringify(quickbooks)}, last synced ${JSON.stringify(last_synced)}`
+}
+
+// raw errors are left out as they may hold circular references
+const toJSON = value => {
+    return JSON.stringify(value, (key, field) => key == "error" ? undefined : field, 2)
+}
+
+const toCSV = (columns, rows) => {
+    const escapeCSV = value => {
+        const text = value === undefined || value === null ? "" : String(value)
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    return [columns].concat(rows).map(row => row.map(escapeCSV).join(",")).join("\n")
+}
+
+const escapeXML = value => {
+    return String(value === undefined || value === null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;")
+}
+
+const toJUnit = (suite, cases) => {
+    const failures = cases.filter(({ failures }) => failures.length > 0).length
+    const skipped = cases.filter(({ skipped = [] }) => skipped.length > 0).length
+
+    const testcases = cases.map(({ classname, name, failures, skipped = [], output = [] }) => {
+        const children = failures.map(message => `            <failure message="${escapeXML(message)}"/>`)
+            .concat(skipped.map(message => `            <skipped message="${escapeXML(message)}"/>`))
+            .concat(output.length > 0 ? [`            <system-out>${escapeXML(output.join("\n"))}</system-out>`] : [])
+
+        if (children.length == 0) {
+            return `        <testcase classname="${escapeXML(classname)}" name="${escapeXML(name)}"/>`
+        }
+
+        return `        <testcase classname="${escapeXML(classname)}" name="${escapeXML(name)}">\n${children.join("\n")}\n        </testcase>`
+    })
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<testsuites tests="${cases.length}" failures="${failures}" skipped="${skipped}">`,
+        `    <testsuite name="${escapeXML(suite)}" tests="${cases.length}" failures="${failures}" skipped="${skipped}">`
+    ].concat(testcases).concat([
+        `    </testsuite>`,
+        `</testsuites>`
+    ]).join("\n")
+}
+
+const STATUS_CLASSES = {
+    "failed": "failed",
+    "skipped": "warning",
+    "passed with warnings": "warning",
+    "deactivated": "warning",
+    "conflict": "warning"
+}
+
+// list cells render as one line per entry
+const toHTML = ({ title, summary, ok, columns, rows }) => {
+    const renderCell = value => Array.isArray(value) ? value.map(escapeXML).join("<br>") : escapeXML(value)
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXML(title)}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }
+    h1 { font-size: 1.4em; }
+    .summary { font-weight: bold; color: ${ok ? "#1a7f37" : "#cf222e"}; }
+    table { border-collapse: collapse; width: 100%; margin-top: 1em; }
+    th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    tr.failed td { background: #ffebe9; }
+    tr.warning td { background: #fff8c5; }
+</style>
+</head>
+<body>
+<h1>${escapeXML(title)}</h1>
+<p class="summary">${escapeXML(summary)}</p>
+<p>generated ${escapeXML(new Date().toISOString())}</p>
+<table>
+<thead>
+<tr>${columns.map(column => `<th>${escapeXML(column)}</th>`).join("")}</tr>
+</thead>
+<tbody>
+${rows.map(({ status, cells }) => `<tr class="${STATUS_CLASSES[status] || ""}">${cells.map(cell => `<td>${renderCell(cell)}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>
+</body>
+</html>`
+}
+
+module.exports = {
+    registerReporter,
+    renderReport,
+    writeReport
+}
\ No newline at end of file
@@ -0,0 +1,149 @@
+// runs api calls with bounded concurrency, an optional per-minute request budget,
+// a shared pause for servers that report their own throttling, and exponential backoff on retryable failures
+class RequestScheduler {
+    constructor({ concurrency = 4, requests_per_minute = null, max_retries = 5, base_delay = 500, max_delay = 30000 } = {}) {
+        this.concurrency = concurrency
+        this.requests_per_minute = requests_per_minute
+        this.max_retries = max_retries
+        this.base_delay = base_delay
+        this.max_delay = max_delay
+
+        this.active = 0
+        this.queue = []
+        this.sent_at = []
+        this.paused_until = 0
+        this.timer = null
+    }
+
+    // should_retry decides whether a failure is worth another attempt, a retry_after (ms) on the error overrides the backoff
+    schedule(task, { should_retry = () => false } = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, should_retry, attempt: 0, resolve, reject })
+            this.drain()
+        })
+    }
+
+    // holds back every queued request, e.g. while a throttle budget restores
+    pause(ms) {
+        this.paused_until = Math.max(this.paused_until, Date.now() + ms)
+    }
+
+    drain() {
+        while (this.queue.length > 0 && this.active < this.concurrency) {
+            const wait = this.waitTime()
+            if (wait > 0) {
+                if (!this.timer) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null
+                        this.drain()
+                    }, wait)
+                }
+                return
+            }
+
+            this.run(this.queue.shift())
+        }
+    }
+
+    waitTime() {
+        const now = Date.now()
+        let wait = this.paused_until - now
+
+        if (this.requests_per_minute) {
+            this.sent_at = this.sent_at.filter(time => time > now - 60000)
+            if (this.sent_at.length >= this.requests_per_minute) {
+                wait = Math.max(wait, this.sent_at[0] + 60000 - now)
+            }
+        }
+
+        return wait
+    }
+
+    async run(job) {
+        this.active += 1
+        this.sent_at.push(Date.now())
+
+        try {
+            job.resolve(await job.task())
+        } catch (err) {
+            if (job.attempt < this.max_retries && job.should_retry(err)) {
+                const delay = err.retry_after !== undefined ? err.retry_after : this.backoff(job.attempt)
+                job.attempt += 1
+                setTimeout(() => {
+                    this.queue.unshift(job)
+                    this.drain()
+                }, delay)
+            } else {
+                job.reject(err)
+            }
+        } finally {
+            this.active -= 1
+            this.drain()
+        }
+    }
+
+    backoff(attempt) {
+        const delay = Math.min(this.base_delay * Math.pow(2, attempt), this.max_delay)
+        // jitter keeps concurrent retries from hitting the server in lockstep
+        return delay / 2 + Math.random() * delay / 2
+    }
+}
+
+class RetryableRequestError extends Error {
+    constructor(message, { status = null, retry_after } = {}) {
+        super(message)
+        this.name = "RetryableRequestError"
+        this.status = status
+        this.retry_after = retry_after
+    }
+}
+
+// runs fn over items with at most concurrency calls in flight, keeping results in item order
+const mapConcurrently = async (items, concurrency, fn) => {
+    let results = new Array(items.length)
+    let next = 0
+
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next
+            next += 1
+            results[i] = await fn(items[i], i)
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker))
+
+    return results
+}
+
+// mapConcurrently over an async iterable, taking the next item only when a worker is free so that the items are never all held at once
+const mapIterableConcurrently = async (iterable, concurrency, fn) => {
+    const iterator = iterable[Symbol.asyncIterator]()
+
+    let results = []
+    let next = 0
+
+    const worker = async () => {
+        while (true) {
+            const { value, done } = await iterator.next()
+            if (done) {
+                return
+            }
+
+            const i = next
+            next += 1
+            results[i] = await fn(value, i)
+        }
+    }
+
+    await Promise.all(Array.from({ length: concurrency }, worker))
+
+    return results
+}
+
+module.exports = {
+    RequestScheduler,
+    RetryableRequestError,
+    mapConcurrently,
+    mapIterableConcurrently
+}
\ No newline at end of file
@@ -2,16 +2,45 @@ const { ApolloClient, InMemoryCache, HttpLink } = require("apollo-boost")
 const fetch = require("isomorphic-unfetch")
 const gql = require("graphql-tag")
 const chalk = require("chalk")
+const { RequestScheduler, RetryableRequestError } = require("./request_scheduler")
+const { generateProductName, generateProductDescription, generateProductCategory } = require("./product_mapping")
+const { runValidationRules, createValidator } = require("./validation_rules")
+const { toHomeCurrency } = require("./exchange_rates")
 
 class ShopifyEngine {
-    constructor({ shop, admin_api_password, storefront_api_access_token }) {
-        this.adminClient = createAdminClient({ uri: adminURI(shop), access_token: admin_api_password })
-        this.storefrontClient = createStorefrontClient({ uri: storefrontURI(shop), access_token: storefront_api_access_token })
+    // location_ids restricts inventory quantities to the given locations, otherwise they are aggregated across all of them
+    // admin_api_url and storefront_api_url replace the shop's graphql endpoints, e.g. with a local fake.
+    // fetch_mode is "pages", paging through the variants a request at a time, or "bulk", reading them from a bulk operation,
+    // which suits large catalogs, with its status polled every bulk_poll_interval ms
+    constructor({ shop, admin_api_password, storefront_api_access_token, location_ids = null, scheduler = null, admin_api_url = null, storefront_api_url = null, fetch_mode = "pages", bulk_poll_interval = 2000 }) {
+        if (!FETCH_MODES.includes(fetch_mode)) {
+            throw new Error(`unknown fetch mode: ${fetch_mode}; expected one of: ${FETCH_MODES.join(", ")}`)
+        }
+
+        this.scheduler = scheduler || new RequestScheduler({ concurrency: 2 })
+        this.adminClient = createAdminClient({ uri: admin_api_url || adminURI(shop), access_token: admin_api_password, scheduler: this.scheduler })
+        this.storefrontClient = createStorefrontClient({ uri: storefront_api_url || storefrontURI(shop), access_token: storefront_api_access_token, scheduler: this.scheduler })
+        this.location_ids = location_ids
+        this.fetch_mode = fetch_mode
+        this.bulk_poll_interval = bulk_poll_interval
+        this.shop_currency = null
     }
 
-    async getProdutVariants(cursor=null) {
-        const variables = cursor ? { cursor } : null
+    // updated_since limits the variants to those whose product was updated after the given date,
+    // include_collections adds the collections of each variant's product for collection based categories
+    async getProdutVariants(cursor=null, { updated_since = null, include_collections = false } = {}) {
+        const include_inventory_levels = this.location_ids ? true : false
+        const variables = {
+            cursor,
+            query: updated_since ? `updated_at:>'${updated_since.toISOString()}'` : null,
+            // inventory levels and collections multiply the query cost so pages are kept smaller when they are requested
+            first: include_inventory_levels || include_collections ? 50 : 100,
+            include_inventory_levels,
+            include_collections
+        }
         const res = await this.adminClient.query({ query: GET_PRODUCT_VARIANTS, variables })
+        // variant prices are in the shop's currency, costs carry their own
+        const price_currency_code = res.data && res.data.shop ? res.data.shop.currencyCode : null
 
         let parsed_variants = null
         let next_cursor = null
@@ -19,28 +48,21 @@ class ShopifyEngine {
         if (res.data && res.data.productVariants) {
             parsed_variants = []
             for (const { node: variant } of res.data.productVariants.edges) {
-                const { id, sku, barcode, selectedOptions, price, inventoryItem, taxable, product } = variant
-                const { id: product_id, title, vendor, productType } = product
+                const { product, inventoryItem } = variant
 
-                let parsed_variant = {
-                    id,
-                    product_id,
-                    title,
-                    vendor,
-                    product_type: productType,
-                    sku,
-                    barcode,
-                    price,
-                    selected_options: selectedOptions,
-                    inventory_item: {
-                        unit_cost: inventoryItem.unitCost ? {
-                            amount: inventoryItem.unitCost.amount
-                        } : null
-                    },
-                    taxable
+                let inventory_levels = null
+                if (inventoryItem.inventoryLevels) {
+                    const { edges, pageInfo } = inventoryItem.inventoryLevels
+                    inventory_levels = parseInventoryLevels(inventoryItem.inventoryLevels)
+                        .concat(pageInfo.hasNextPage ? await this.getInventoryLevels(inventoryItem.id, edges[edges.length - 1].cursor) : [])
                 }
 
-                parsed_variants = parsed_variants.concat(parsed_variant)
+                parsed_variants.push(parseProductVariant(variant, product, {
+                    price_currency_code,
+                    collections: product.collections ? product.collections.edges.map(({ node }) => node) : null,
+                    inventory_levels,
+                    location_ids: this.location_ids
+                }))
             }
 
             if (res.data.productVariants.pageInfo.hasNextPage) {
@@ -54,151 +76,258 @@ class ShopifyEngine {
         }
     }
 
-    async getAllProductVariants() {
+    async getAllProductVariants({ updated_since = null, include_collections = false } = {}) {
         let product_variants = []
 
+        for await (const variant of this.iterateProductVariants({ updated_since, include_collections })) {
+            product_variants.push(variant)
+        }
+
+        return product_variants
+    }
+
+    // yields the variants one at a time, in the bulk fetch mode without the catalog ever being held at once
+    async *iterateProductVariants({ updated_since = null, include_collections = false } = {}) {
+        if (this.fetch_mode == "bulk") {
+            yield* this.iterateBulkProductVariants({ updated_since, include_collections })
+            return
+        }
+
         let current_cursor = null
-        let retrieving = true
 
-        while(retrieving) {
-            const { items, next_cursor } = await this.getProdutVariants(current_cursor)
-            product_variants = product_variants.concat(items)
+        do {
+            const { items, next_cursor } = await this.getProdutVariants(current_cursor, { updated_since, include_collections })
+            yield* items || []
             current_cursor = next_cursor
+        } while (current_cursor)
+    }
 
-            if (!current_cursor) {
-                retrieving = false
+    // the bulk query lists products with their variants as a nested connection, and its result has each product followed by
+    // its variants and collections, so only one product is held at a time. bulk queries can't nest connections more than two
+    // levels deep, which leaves no room for a variant's inventory levels, so with location_ids they are read by a bulk query of the
+    // locations first
+    async *iterateBulkProductVariants({ updated_since = null, include_collections = false } = {}) {
+        const price_currency_code = await this.getShopCurrency()
+        const inventory_levels = this.location_ids ? await this.getBulkInventoryLevels() : null
+
+        const url = await this.runBulkQuery(bulkProductsQuery({ updated_since, include_collections }))
+        if (!url) {
+            return
+        }
+
+        for await (const { product, variants, collections } of groupBulkProducts(readBulkOperationResult(url))) {
+            for (const variant of variants) {
+                yield parseProductVariant(variant, product, {
+                    price_currency_code,
+                    collections: include_collections ? collections : null,
+                    inventory_levels: inventory_levels ? inventory_levels[variant.inventoryItem.id] || [] : null,
+                    location_ids: this.location_ids
+                })
             }
         }
+    }
 
-        return product_variants
+    // the inventory levels of an item stocked at more locations than the variants query reads, from after the cursor on
+    async getInventoryLevels(inventory_item_id, cursor) {
+        let inventory_levels = []
+
+        while (cursor) {
+            const res = await this.adminClient.query({ query: GET_INVENTORY_LEVELS, variables: { id: inventory_item_id, cursor } })
+            const { inventoryLevels } = res.data.inventoryItem
+
+            inventory_levels = inventory_levels.concat(parseInventoryLevels(inventoryLevels))
+            cursor = inventoryLevels.pageInfo.hasNextPage ? inventoryLevels.edges[inventoryLevels.edges.length - 1].cursor : null
+        }
+
+        return inventory_levels
     }
-}
 
-const validateProductVariants = variants => {
-    let existing_names = {}
-    let existing_skus = {}
-    let existing_barcodes = {}
-    let results = []
+    // returns { [inventory_item_id]: [{ location_id, location_name, available }] } across every location
+    async getBulkInventoryLevels() {
+        const url = await this.runBulkQuery(BULK_INVENTORY_LEVELS_QUERY)
 
-    variants.forEach(({ id, product_id, title, vendor, sku, selected_options, barcode, price, inventory_item }) => {
-        let errors = []
-        
-        if (!price || price == "") {
-            errors = errors.concat({
-                code: 100,
-                message: `invalid price: price can't be empty`
-            })
+        let location_names = {}
+        let inventory_levels = {}
+
+        if (!url) {
+            return inventory_levels
         }
 
-        if (!inventory_item || !inventory_item.unit_cost || !inventory_item.unit_cost.amount || inventory_item.unit_cost.amount == "") {
-            errors = errors.concat({
-                code: 101,
-                message: `invalid cost: cost can't be empty`
+        for await (const line of readBulkOperationResult(url)) {
+            if (!line.__parentId) {
+                location_names[line.id] = line.name
+                continue
+            }
+
+            const inventory_item_id = line.item.id
+            inventory_levels[inventory_item_id] = (inventory_levels[inventory_item_id] || []).concat({
+                location_id: line.__parentId,
+                location_name: location_names[line.__parentId],
+                available: line.available
             })
         }
 
-        if (
-            (!vendor || vendor == "") ||
-            (!title || title == "")
-        ) {
-            if (!vendor || vendor == "") {
-                errors = errors.concat({
-                    code: 102,
-                    message: `invalid vendor: vendor can't be empty`
-                })
+        return inventory_levels
+    }
+
+    // starts a bulk operation and waits for shopify to finish it, returning the url of its jsonl result, or null when it found nothing.
+    // shopify runs one bulk query per shop and app at a time
+    async runBulkQuery(query) {
+        const res = await this.adminClient.mutate({ mutation: RUN_BULK_QUERY, variables: { query } })
+        throwUserErrors(res.data.bulkOperationRunQuery, "failed to start a bulk operation")
+
+        const { id } = res.data.bulkOperationRunQuery.bulkOperation
+
+        while (true) {
+            await sleep(this.bulk_poll_interval)
+
+            const { data } = await this.adminClient.query({ query: GET_CURRENT_BULK_OPERATION })
+            const operation = data.currentBulkOperation
+
+            if (!operation || operation.id != id) {
+                throw new Error(`bulk operation ${id} is no longer the current bulk operation, another one may have been started`)
             }
-    
-            if (!title || title == "") {
-                errors = errors.concat({
-                    code: 103,
-                    message: `invalid title: title can't be empty`
-                })
+
+            if (operation.status == "COMPLETED") {
+                return operation.url
             }
-        } else {
-            const name = generateProductName({ vendor, title, selected_options })
-        
-            if (name.startsWith("_") || name.length > 100 ) {
-                if (name.startsWith("_")) {
-                    errors = errors.concat({
-                        code: 104,
-                        message: `invalid name: name can't start with "_"`
-                    })
-                }
 
-                if (name.length > 100) {
-                    errors = errors.concat({
-                        code: 105,
-                        message: `invalid name: name can't have more than 100 characters`
-                    })
-                }
-            } else {
-                if (existing_names[name]) {
-                    errors = errors.concat({
-                        code: 106,
-                        message: `duplicate name: ${name}; the name is already in use by product variant with id: ${existing_names[name]}`
-                    })
-                } else {
-                    existing_names[name] = id
-                }
+            if (FAILED_BULK_OPERATION_STATUSES.includes(operation.status)) {
+                throw new Error(`bulk operation ${id} ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ""}`)
             }
         }
+    }
 
-        if (!sku || sku == "") {
-            errors = errors.concat({
-                code: 107,
-                message: `invalid sku: sku can't be empty`
+    // writes the quickbooks values of fields that quickbooks owns back to the variant, see resolveFieldSources in quickbooks_engine.js.
+    // writeback holds UnitPrice and/or PurchaseCost, the cost lives on the variant's inventory item
+    async updateProductVariant(variant, writeback) {
+        if (writeback.UnitPrice !== undefined) {
+            const res = await this.adminClient.mutate({
+                mutation: UPDATE_PRODUCT_VARIANT_PRICE,
+                variables: { input: { id: variant.id, price: String(writeback.UnitPrice) } }
             })
-        } else {
-            if (existing_skus[sku]) {
-                errors = errors.concat({
-                    code: 108,
-                    message: `duplicate sku: ${sku}; the sku is already in use by product variant with id: ${existing_skus[sku]}`
-                })
-            } else {
-                existing_skus[sku] = id
-            }
+            throwUserErrors(res.data.productVariantUpdate, `failed to update the price of product variant ${variant.id}`)
         }
 
-        if (!barcode || barcode == "") {
-            errors = errors.concat({
-                code: 109,
-                message: `invalid barcode: barcode can't be empty`
+        if (writeback.PurchaseCost !== undefined) {
+            const res = await this.adminClient.mutate({
+                mutation: UPDATE_INVENTORY_ITEM_COST,
+                variables: { id: variant.inventory_item.id, input: { cost: writeback.PurchaseCost === null ? null : String(writeback.PurchaseCost) } }
             })
-        } else {
-            if (existing_barcodes[barcode]) {
-                errors = errors.concat({
-                    code: 110,
-                    message: `duplicate barcode: ${barcode}; the barcode is already in use by product variant with id: ${existing_barcodes[barcode]}`
-                })
-            } else {
-                existing_barcodes[barcode] = id
-            }
+            throwUserErrors(res.data.inventoryItemUpdate, `failed to update the cost of product variant ${variant.id}`)
         }
+    }
 
-        results = results.concat({
-            id,
-            product_id,
-            title,
-            errors
-        })
-    })
+    async getShopCurrency() {
+        if (!this.shop_currency) {
+            const res = await this.adminClient.query({ query: GET_SHOP_CURRENCY })
+            this.shop_currency = res.data.shop.currencyCode
+        }
 
-    let ok = true
-    for (const { errors } of results) {
-        if (errors.length > 0) {
-            ok = false
-            break
+        return this.shop_currency
+    }
+
+    // looks up the unit cost of each inventory item, webhook payloads don't carry it. returns { [inventory_item_id]: { amount, currency_code } | null }
+    async getInventoryItemCosts(inventory_item_ids) {
+        if (inventory_item_ids.length == 0) {
+            return {}
         }
+
+        const res = await this.adminClient.query({ query: GET_INVENTORY_ITEM_COSTS, variables: { ids: inventory_item_ids } })
+
+        return res.data.nodes.filter(node => node).reduce((costs, { id, unitCost }) => ({
+            ...costs,
+            [id]: unitCost ? { amount: unitCost.amount, currency_code: unitCost.currencyCode } : null
+        }), {})
     }
 
-    return {
-        ok,
-        results
+    // query takes shopify search syntax, e.g. "financial_status:paid"
+    async getOrders(cursor=null, { query = null } = {}) {
+        const variables = { cursor, query }
+        const res = await this.adminClient.query({ query: GET_ORDERS, variables })
+
+        let parsed_orders = null
+        let next_cursor = null
+
+        if (res.data && res.data.orders) {
+            parsed_orders = []
+            for (const { node: order } of res.data.orders.edges) {
+                const { id, legacyResourceId, name, email, processedAt, displayFinancialStatus, currencyCode, taxesIncluded, lineItems, totalShippingPriceSet, totalDiscountsSet, totalTaxSet, totalRefundedShippingSet, refunds } = order
+
+                let parsed_order = {
+                    id,
+                    legacy_id: legacyResourceId,
+                    name,
+                    email,
+                    processed_at: processedAt,
+                    financial_status: displayFinancialStatus,
+                    currency_code: currencyCode,
+                    taxes_included: taxesIncluded,
+                    line_items: lineItems.edges.map(({ node: line_item }) => ({
+                        id: line_item.id,
+                        sku: line_item.sku,
+                        title: line_item.title,
+                        quantity: line_item.quantity,
+                        unit_price: line_item.originalUnitPriceSet.shopMoney.amount
+                    })),
+                    // an order with more line items than the query fetches can't be posted as it is
+                    line_items_truncated: lineItems.pageInfo.hasNextPage,
+                    shipping: totalShippingPriceSet.shopMoney.amount,
+                    discount: totalDiscountsSet.shopMoney.amount,
+                    tax: totalTaxSet.shopMoney.amount,
+                    // the query asks for one refund more than it syncs, to tell whether the order has refunds it didn't fetch
+                    refunds_truncated: refunds.length > ORDER_REFUNDS_LIMIT,
+                    refunds: parseRefunds(refunds.slice(0, ORDER_REFUNDS_LIMIT), totalRefundedShippingSet.shopMoney.amount, taxesIncluded)
+                }
+
+                parsed_orders = parsed_orders.concat(parsed_order)
+            }
+
+            if (res.data.orders.pageInfo.hasNextPage) {
+                next_cursor = res.data.orders.edges[res.data.orders.edges.length - 1].cursor
+            }
+        }
+
+        return {
+            items: parsed_orders,
+            next_cursor
+        }
+    }
+
+    async getAllOrders({ query = "financial_status:paid" } = {}) {
+        let orders = []
+
+        let current_cursor = null
+        let retrieving = true
+
+        while(retrieving) {
+            const { items, next_cursor } = await this.getOrders(current_cursor, { query })
+            orders = orders.concat(items)
+            current_cursor = next_cursor
+
+            if (!current_cursor) {
+                retrieving = false
+            }
+        }
+
+        return orders
     }
 }
 
+// names are checked as the mapping generates them. rules and custom_rules configure the validation rules, see validation_rules.js
+// currency is the { home_currency, rates } from resolveExchangeRates, without it prices and costs are not checked for a missing rate.
+// tax_mapping is the quickbooks engine's, see tax_mapping.js, without it variants are not checked for missing tax codes
+const validateProductVariants = (variants, { mapping = {}, rules = {}, custom_rules = [], currency = null, tax_mapping = null } = {}) => {
+    return runValidationRules(variants, { mapping, rules, custom_rules, currency, tax_mapping })
+}
+
+// for variants that are streamed, returns a function that validates one variant at a time against the variants before it
+const createProductVariantValidator = ({ mapping = {}, rules = {}, custom_rules = [], currency = null, tax_mapping = null } = {}) => {
+    return createValidator({ mapping, rules, custom_rules, currency, tax_mapping })
+}
+
 const logProductVariantValidationResults = ({ ok, results }) => {
-    results.forEach(({ id, product_id, title, errors }) => {
+    results.forEach(({ id, product_id, title, errors, warnings = [] }) => {
         console.log(`    ${chalk.gray.bold(`[${id}]`)}`)
         console.log(`        ${chalk.gray("product id:")} ${chalk.blueBright.bold(product_id)}`)
         console.log(`        ${chalk.gray("product name:")} ${chalk.blueBright.bold(title)}`)
@@ -208,10 +337,19 @@ const logProductVariantValidationResults = ({ ok, results }) => {
             errors.forEach(({ code, message }) => {
                 console.log(`            ${chalk.red.bold(code)} ${chalk.red(message)}`)
             })
+        } else if (warnings.length > 0) {
+            console.log(`        ${chalk.gray("status:")} ${chalk.yellow.bold("PASSED WITH WARNINGS")}`)
         } else {
             console.log(`        ${chalk.gray("status:")} ${chalk.green.bold("PASSED")}`)
         }
 
+        if (warnings.length > 0) {
+            console.log(`        ${chalk.gray("warnings:")}`)
+            warnings.forEach(({ code, message }) => {
+                console.log(`            ${chalk.yellow.bold(code)} ${chalk.yellow(message)}`)
+            })
+        }
+
         console.log("\n")
     })
 
@@ -224,43 +362,343 @@ const logProductVariantValidationResults = ({ ok, results }) => {
     console.log("\n")
 }
 
-const parseProduct = variant => {
-    const { title, vendor, product_type, sku, barcode, selected_options, price, inventory_item, taxable } = variant
+// parses a variant of either the paginated or the bulk query, collections and inventory_levels are null when they weren't queried
+const parseProductVariant = (variant, product, { price_currency_code, collections, inventory_levels, location_ids }) => {
+    const { id, sku, barcode, selectedOptions, price, inventoryItem, inventoryQuantity, taxable } = variant
+
+    return {
+        id,
+        product_id: product.id,
+        title: product.title,
+        vendor: product.vendor,
+        product_type: product.productType,
+        tags: product.tags,
+        collections: collections ? collections.map(({ title, handle }) => ({ title, handle })) : null,
+        sku,
+        barcode,
+        price,
+        price_currency_code,
+        selected_options: selectedOptions.map(({ value }) => ({ value })),
+        inventory_item: {
+            id: inventoryItem.id,
+            unit_cost: inventoryItem.unitCost ? {
+                amount: inventoryItem.unitCost.amount,
+                currency_code: inventoryItem.unitCost.currencyCode
+            } : null,
+            inventory_levels
+        },
+        inventory_quantity: location_ids ? sumInventoryLevels(inventory_levels, location_ids) : inventoryQuantity,
+        taxable
+    }
+}
+
+// currency is the { home_currency, rates } from resolveExchangeRates, prices and costs are converted into the home currency with it
+const parseProduct = (variant, { mapping = {}, currency = null } = {}) => {
+    const { vendor, product_type, sku, price, price_currency_code, inventory_item, inventory_quantity, taxable } = variant
 
-    const name = generateProductName({ vendor, title, selected_options })
-    const description = generateProductDescription({ name, barcode })
+    const name = generateProductName(variant, mapping)
+    const description = generateProductDescription(variant, name, mapping)
     
-    const unit_price = price ? parseFloat(price) : null
-    const purchase_cost = inventory_item.unit_cost ? parseFloat(inventory_item.unit_cost.amount) : null
+    const unit_price = price ? toHomeCurrency(parseFloat(price), price_currency_code, currency) : null
+    const purchase_cost = inventory_item.unit_cost ? toHomeCurrency(parseFloat(inventory_item.unit_cost.amount), inventory_item.unit_cost.currency_code, currency) : null
 
     return {
         name,
-        category: product_type,
+        vendor,
+        product_type,
+        category_path: generateProductCategory(variant, mapping),
         sku,
         description,
         unit_price,
         purchase_cost,
+        quantity: inventory_quantity === undefined ? null : inventory_quantity,
         taxable
     }
 }
 
-const generateProductName = ({ vendor, title, selected_options }) => {
-    let name = `${vendor} ${title}`
+const parseInventoryLevels = ({ edges }) => {
+    return edges.map(({ node }) => ({
+        location_id: node.location.id,
+        location_name: node.location.name,
+        available: node.available
+    }))
+}
 
-    selected_options.forEach(({ value }) => {
-        if (value && value != "Default Title") {
-            name = `${name} ${value}`
-        }
+// location ids may be given as admin api gids or as bare numeric ids
+const sumInventoryLevels = (inventory_levels, location_ids) => {
+    return inventory_levels.reduce((quantity, { location_id, available }) => {
+        const selected = location_ids.some(selected_id => location_id == selected_id || location_id.endsWith(`/${selected_id}`))
+        return selected ? quantity + available : quantity
+    }, 0)
+}
+
+// the admin api does not break shipping out of a refund, only out of the order as a whole. what the line items of a refund don't
+// account for is taken to be shipping as far as the order's refunded shipping, in the order the refunds were made, goes,
+// and whatever is left over is an adjustment, e.g. an amount refunded as goodwill
+const parseRefunds = (refunds, refunded_shipping, taxes_included) => {
+    let shipping_left = parseFloat(refunded_shipping)
+
+    return refunds.slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt)).map(refund => {
+        const parsed_refund = parseRefund(refund, shipping_left, taxes_included)
+        shipping_left -= parseFloat(parsed_refund.shipping)
+        return parsed_refund
     })
+}
+
+const parseRefund = (refund, shipping_left, taxes_included) => {
+    const { id, legacyResourceId, createdAt, note, totalRefundedSet, refundLineItems } = refund
+
+    const line_items = refundLineItems.edges.map(({ node: refund_line_item }) => ({
+        sku: refund_line_item.lineItem.sku,
+        title: refund_line_item.lineItem.title,
+        quantity: refund_line_item.quantity,
+        restocked: refund_line_item.restocked,
+        subtotal: refund_line_item.subtotalSet.shopMoney.amount,
+        tax: refund_line_item.totalTaxSet.shopMoney.amount
+    }))
+
+    // with taxes included in the prices the subtotals hold the tax already
+    const line_items_total = line_items.reduce((total, { subtotal, tax }) => total + parseFloat(subtotal) + (taxes_included ? 0 : parseFloat(tax)), 0)
+    const unexplained = Math.max(Math.round((parseFloat(totalRefundedSet.shopMoney.amount) - line_items_total) * 100) / 100, 0)
+    const shipping = Math.min(unexplained, Math.max(Math.round(shipping_left * 100) / 100, 0))
+
+    return {
+        id,
+        legacy_id: legacyResourceId,
+        created_at: createdAt,
+        note,
+        total: totalRefundedSet.shopMoney.amount,
+        line_items,
+        line_items_truncated: refundLineItems.pageInfo.hasNextPage,
+        shipping: shipping.toFixed(2),
+        adjustment: (Math.round((unexplained - shipping) * 100) / 100).toFixed(2)
+    }
+}
+
+// maps a products/create or products/update webhook payload into the variant shape getProdutVariants produces.
+// the payload has no unit costs, those are left null for getInventoryItemCosts to fill in, no price currency,
+// which is the shop's currency from getShopCurrency, no inventory levels, so inventory_quantity is the total
+// across all locations, and no collections
+const parseWebhookProduct = payload => {
+    const { id: product_id, title, vendor, product_type, tags, variants = [] } = payload
+
+    return variants.map(variant => ({
+        id: `gid://shopify/ProductVariant/${variant.id}`,
+        product_id: `gid://shopify/Product/${product_id}`,
+        title,
+        vendor,
+        product_type,
+        tags: typeof tags == "string" ? tags.split(",").map(tag => tag.trim()).filter(tag => tag != "") : tags,
+        collections: null,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        price: variant.price,
+        price_currency_code: null,
+        selected_options: [variant.option1, variant.option2, variant.option3].filter(value => value !== null && value !== undefined).map(value => ({ value })),
+        inventory_item: {
+            id: `gid://shopify/InventoryItem/${variant.inventory_item_id}`,
+            unit_cost: null,
+            inventory_levels: null
+        },
+        inventory_quantity: variant.inventory_quantity,
+        taxable: variant.taxable
+    }))
+}
+
+// maps an orders/paid webhook payload into the order shape getOrders produces.
+// refunds are left out, they are synced from the refunded orders query by syncRefunds
+const parseWebhookOrder = payload => {
+    const { id, admin_graphql_api_id, name, email, processed_at, financial_status, currency, taxes_included, line_items = [], shipping_lines = [], total_discounts, total_tax } = payload
+
+    const shipping = shipping_lines.reduce((total, { price }) => total + parseFloat(price), 0)
+
+    return {
+        id: admin_graphql_api_id || `gid://shopify/Order/${id}`,
+        legacy_id: String(id),
+        name,
+        email,
+        processed_at,
+        financial_status: financial_status ? financial_status.toUpperCase() : null,
+        currency_code: currency,
+        taxes_included,
+        line_items: line_items.map(line_item => ({
+            id: line_item.admin_graphql_api_id || `gid://shopify/LineItem/${line_item.id}`,
+            sku: line_item.sku,
+            title: line_item.title,
+            quantity: line_item.quantity,
+            unit_price: line_item.price
+        })),
+        line_items_truncated: false,
+        shipping: shipping.toFixed(2),
+        discount: total_discounts,
+        tax: total_tax,
+        refunds_truncated: false,
+        refunds: []
+    }
+}
+
+// bulk queries take no variables, so the filter is written into the query
+const bulkProductsQuery = ({ updated_since, include_collections }) => {
+    const query = updated_since ? `(query: ${JSON.stringify(`updated_at:>'${updated_since.toISOString()}'`)})` : ""
+
+    return `
+        {
+            products${query} {
+                edges {
+                    node {
+                        id
+                        title
+                        vendor
+                        productType
+                        tags
+                        ${include_collections ? BULK_COLLECTIONS_FIELDS : ""}
+                        variants {
+                            edges {
+                                node {
+                                    id
+                                    sku
+                                    barcode
+                                    selectedOptions {
+                                        value
+                                    }
+                                    price
+                                    inventoryQuantity
+                                    inventoryItem {
+                                        id
+                                        unitCost {
+                                            currencyCode
+                                            amount
+                                        }
+                                    }
+                                    taxable
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    `
+}
 
-    return name
+// streams the jsonl result of a bulk operation, yielding one parsed object per line
+const readBulkOperationResult = async function* (url) {
+    const res = await fetch(url)
+    if (!res.ok) {
+        throw new Error(`failed to download the bulk operation result: shopify responded with status ${res.status}`)
+    }
+
+    const decoder = new TextDecoder()
+    let buffered = ""
+
+    for await (const chunk of res.body) {
+        buffered += typeof chunk == "string" ? chunk : decoder.decode(chunk, { stream: true })
+
+        const lines = buffered.split("\n")
+        buffered = lines.pop()
+
+        for (const line of lines) {
+            if (line.trim() != "") {
+                yield JSON.parse(line)
+            }
+        }
+    }
+
+    buffered += decoder.decode()
+    if (buffered.trim() != "") {
+        yield JSON.parse(buffered)
+    }
+}
+
+// puts the flattened bulk result back together: nested connections come out as lines of their own that point to their product
+// with __parentId and follow it, so a product is complete when the next one starts
+const groupBulkProducts = async function* (lines) {
+    let current = null
+
+    for await (const line of lines) {
+        if (!line.__parentId) {
+            if (current) {
+                yield current
+            }
+
+            current = { product: line, variants: [], collections: [] }
+            continue
+        }
+
+        if (!current || line.__parentId != current.product.id) {
+            throw new Error(`bulk operation result line ${line.id} does not follow its parent ${line.__parentId}`)
+        }
+
+        if (line.id.startsWith("gid://shopify/ProductVariant/")) {
+            current.variants.push(line)
+        } else {
+            current.collections.push(line)
+        }
+    }
+
+    if (current) {
+        yield current
+    }
 }
 
-const generateProductDescription = ({ name, barcode }) => {
-    return `${name}, barcode: ${barcode}`
+const sleep = ms => {
+    return new Promise(resolve => setTimeout(resolve, ms))
 }
 
-const createAdminClient = ({ uri, access_token }) => {
+// wraps fetch so that every graphql request goes through the scheduler, which retries 429 and 5xx responses
+// and THROTTLED errors, and pauses all requests while the admin api's query cost budget restores
+const scheduledFetch = scheduler => (uri, options) => {
+    return scheduler.schedule(async () => {
+        const res = await fetch(uri, options)
+
+        if (res.status == 429 || res.status >= 500) {
+            const retry_after = res.headers.get("Retry-After")
+            throw new RetryableRequestError(`shopify responded with status ${res.status}`, {
+                status: res.status,
+                retry_after: retry_after ? parseFloat(retry_after) * 1000 : undefined
+            })
+        }
+
+        let body = null
+        try {
+            body = await res.clone().json()
+        } catch (err) {
+            return res
+        }
+
+        const cost = body && body.extensions && body.extensions.cost
+        const restore_time = cost ? throttleRestoreTime(cost) : 0
+
+        if (body && body.errors && body.errors.some(({ extensions }) => extensions && extensions.code == "THROTTLED")) {
+            throw new RetryableRequestError("shopify throttled the request", { status: res.status, retry_after: restore_time || undefined })
+        }
+
+        if (restore_time > 0) {
+            scheduler.pause(restore_time)
+        }
+
+        return res
+    }, { should_retry: err => err instanceof RetryableRequestError || RETRYABLE_NETWORK_ERRORS.includes(err.code) })
+}
+
+const throwUserErrors = (payload, message) => {
+    if (payload && payload.userErrors && payload.userErrors.length > 0) {
+        throw new Error(`${message}: ${payload.userErrors.map(({ field, message }) => field ? `${field.join(".")} ${message}` : message).join("; ")}`)
+    }
+}
+
+const RETRYABLE_NETWORK_ERRORS = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE"]
+
+// time (ms) until the budget covers another query of the same cost
+const throttleRestoreTime = ({ requestedQueryCost, throttleStatus }) => {
+    if (!throttleStatus || throttleStatus.currentlyAvailable >= requestedQueryCost) {
+        return 0
+    }
+
+    return Math.ceil((requestedQueryCost - throttleStatus.currentlyAvailable) / throttleStatus.restoreRate * 1000)
+}
+
+const createAdminClient = ({ uri, access_token, scheduler }) => {
     return new ApolloClient({
         link: new HttpLink({
             uri: uri, // Server URL (must be absolute)
@@ -269,13 +707,15 @@ const createAdminClient = ({ uri, access_token }) => {
                 "X-Shopify-Access-Token": access_token
             },
             // Use fetch() polyfill on the server
-            fetch: fetch
+            fetch: scheduledFetch(scheduler)
         }),
-        cache: new InMemoryCache()
+        cache: new InMemoryCache(),
+        // the webhook server runs for days, every query has to reach shopify rather than the apollo cache
+        defaultOptions: { query: { fetchPolicy: "no-cache" } }
     })
 }
 
-const createStorefrontClient = ({ uri, access_token }) => {
+const createStorefrontClient = ({ uri, access_token, scheduler }) => {
     return new ApolloClient({
         link: new HttpLink({
             uri: uri, // Server URL (must be absolute)
@@ -284,15 +724,20 @@ const createStorefrontClient = ({ uri, access_token }) => {
                 "X-Shopify-Storefront-Access-Token": access_token
             },
             // Use fetch() polyfill on the server
-            fetch: fetch
+            fetch: scheduledFetch(scheduler)
         }),
-        cache: new InMemoryCache()
+        cache: new InMemoryCache(),
+        // the webhook server runs for days, every query has to reach shopify rather than the apollo cache
+        defaultOptions: { query: { fetchPolicy: "no-cache" } }
     })
 }
 
 const GET_PRODUCT_VARIANTS = gql`
-    query getProductVariants($cursor: String) {
-        productVariants(first: 100, after: $cursor) {
+    query getProductVariants($cursor: String, $query: String, $first: Int!, $include_inventory_levels: Boolean!, $include_collections: Boolean!) {
+        shop {
+            currencyCode
+        }
+        productVariants(first: $first, after: $cursor, query: $query) {
             pageInfo {
                 hasNextPage
             }
@@ -307,16 +752,42 @@ const GET_PRODUCT_VARIANTS = gql`
                         title
                         vendor
                         productType
+                        tags
+                        collections(first: 10) @include(if: $include_collections) {
+                            edges {
+                                node {
+                                    title
+                                    handle
+                                }
+                            }
+                        }
                     }
                     selectedOptions {
                         value
                     }
                     price
+                    inventoryQuantity
                     inventoryItem {
+                        id
                         unitCost {
                             currencyCode
                             amount
                         }
+                        inventoryLevels(first: 10) @include(if: $include_inventory_levels) {
+                            pageInfo {
+                                hasNextPage
+                            }
+                            edges {
+                                cursor
+                                node {
+                                    available
+                                    location {
+                                        id
+                                        name
+                                    }
+                                }
+                            }
+                        }
                     }
                     taxable
                 }
@@ -325,6 +796,250 @@ const GET_PRODUCT_VARIANTS = gql`
     }
 `
 
+const GET_SHOP_CURRENCY = gql`
+    query getShopCurrency {
+        shop {
+            currencyCode
+        }
+    }
+`
+
+const GET_INVENTORY_ITEM_COSTS = gql`
+    query getInventoryItemCosts($ids: [ID!]!) {
+        nodes(ids: $ids) {
+            ... on InventoryItem {
+                id
+                unitCost {
+                    amount
+                    currencyCode
+                }
+            }
+        }
+    }
+`
+
+const GET_INVENTORY_LEVELS = gql`
+    query getInventoryLevels($id: ID!, $cursor: String) {
+        inventoryItem(id: $id) {
+            id
+            inventoryLevels(first: 50, after: $cursor) {
+                pageInfo {
+                    hasNextPage
+                }
+                edges {
+                    cursor
+                    node {
+                        available
+                        location {
+                            id
+                            name
+                        }
+                    }
+                }
+            }
+        }
+    }
+`
+
+const FETCH_MODES = ["pages", "bulk"]
+
+const FAILED_BULK_OPERATION_STATUSES = ["FAILED", "CANCELED", "CANCELING", "EXPIRED"]
+
+const BULK_COLLECTIONS_FIELDS = `
+    collections {
+        edges {
+            node {
+                id
+                title
+                handle
+            }
+        }
+    }
+`
+
+const BULK_INVENTORY_LEVELS_QUERY = `
+    {
+        locations {
+            edges {
+                node {
+                    id
+                    name
+                    inventoryLevels {
+                        edges {
+                            node {
+                                available
+                                item {
+                                    id
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`
+
+const RUN_BULK_QUERY = gql`
+    mutation runBulkQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+            bulkOperation {
+                id
+                status
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`
+
+const GET_CURRENT_BULK_OPERATION = gql`
+    query getCurrentBulkOperation {
+        currentBulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            url
+        }
+    }
+`
+
+const UPDATE_PRODUCT_VARIANT_PRICE = gql`
+    mutation updateProductVariantPrice($input: ProductVariantInput!) {
+        productVariantUpdate(input: $input) {
+            productVariant {
+                id
+                price
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`
+
+const UPDATE_INVENTORY_ITEM_COST = gql`
+    mutation updateInventoryItemCost($id: ID!, $input: InventoryItemUpdateInput!) {
+        inventoryItemUpdate(id: $id, input: $input) {
+            inventoryItem {
+                id
+                unitCost {
+                    amount
+                }
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`
+
+// an order's refunds are synced up to this many, GET_ORDERS asks for one more
+const ORDER_REFUNDS_LIMIT = 5
+
+// orders are fetched in small pages as their line items and refunds count heavily towards the query cost
+const GET_ORDERS = gql`
+    query getOrders($cursor: String, $query: String) {
+        orders(first: 5, after: $cursor, query: $query) {
+            pageInfo {
+                hasNextPage
+            }
+            edges {
+                cursor
+                node {
+                    id
+                    legacyResourceId
+                    name
+                    email
+                    processedAt
+                    displayFinancialStatus
+                    currencyCode
+                    taxesIncluded
+                    lineItems(first: 50) {
+                        pageInfo {
+                            hasNextPage
+                        }
+                        edges {
+                            node {
+                                id
+                                sku
+                                title
+                                quantity
+                                originalUnitPriceSet {
+                                    shopMoney {
+                                        amount
+                                    }
+                                }
+                            }
+                        }
+                    }
+                    totalShippingPriceSet {
+                        shopMoney {
+                            amount
+                        }
+                    }
+                    totalDiscountsSet {
+                        shopMoney {
+                            amount
+                        }
+                    }
+                    totalTaxSet {
+                        shopMoney {
+                            amount
+                        }
+                    }
+                    totalRefundedShippingSet {
+                        shopMoney {
+                            amount
+                        }
+                    }
+                    refunds(first: 6) {
+                        id
+                        legacyResourceId
+                        createdAt
+                        note
+                        totalRefundedSet {
+                            shopMoney {
+                                amount
+                            }
+                        }
+                        refundLineItems(first: 20) {
+                            pageInfo {
+                                hasNextPage
+                            }
+                            edges {
+                                node {
+                                    quantity
+                                    restocked
+                                    lineItem {
+                                        sku
+                                        title
+                                    }
+                                    subtotalSet {
+                                        shopMoney {
+                                            amount
+                                        }
+                                    }
+                                    totalTaxSet {
+                                        shopMoney {
+                                            amount
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`
+
 const storefrontURI = (shop) => {
     return `https://${shop}.myshopify.com/api/2019-07/graphql.json`
 }
@@ -336,6 +1051,9 @@ const adminURI = (shop) => {
 module.exports = {
     ShopifyEngine,
     validateProductVariants,
+    createProductVariantValidator,
     logProductVariantValidationResults,
     parseProduct,
+    parseWebhookProduct,
+    parseWebhookOrder,
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+const fs = require("fs")
+const crypto = require("crypto")
+
+// keeps sync state in memory only, and defines the interface every state store implements
+class MemoryStateStore {
+    constructor() {
+        this.state = emptyState()
+    }
+
+    async load() {}
+
+    async save() {}
+
+    async getVariant(variant_id) {
+        return this.state.variants[variant_id] || null
+    }
+
+    async setVariant(variant_id, record) {
+        this.state.variants[variant_id] = record
+    }
+
+    // returns the { variant_id, ...record } of every synced variant of the product
+    async findVariantsByProductId(product_id) {
+        return Object.keys(this.state.variants)
+            .filter(variant_id => this.state.variants[variant_id].product_id == product_id)
+            .map(variant_id => ({ variant_id, ...this.state.variants[variant_id] }))
+    }
+
+    // returns the { variant_id, ...record } of every variant synced into the quickbooks item
+    async findVariantsByItemId(item_id) {
+        return Object.keys(this.state.variants)
+            .filter(variant_id => this.state.variants[variant_id].item_id == item_id)
+            .map(variant_id => ({ variant_id, ...this.state.variants[variant_id] }))
+    }
+
+    async deleteVariant(variant_id) {
+        delete this.state.variants[variant_id]
+    }
+
+    async getLastSyncedAt() {
+        return this.state.last_synced_at ? new Date(this.state.last_synced_at) : null
+    }
+
+    async setLastSyncedAt(date) {
+        this.state.last_synced_at = date.toISOString()
+    }
+}
+
+class JSONFileStateStore extends MemoryStateStore {
+    constructor({ path }) {
+        super()
+        this.path = path
+    }
+
+    async load() {
+        try {
+            this.state = {
+                ...emptyState(),
+                ...JSON.parse(await fs.promises.readFile(this.path, "utf8"))
+            }
+        } catch (err) {
+            if (err.code != "ENOENT") {
+                throw err
+            }
+
+            this.state = emptyState()
+        }
+    }
+
+    // written to a temporary file first so that a crash mid-write never leaves a truncated state file behind
+    async save() {
+        const tmp_path = `${this.path}.tmp`
+        await fs.promises.writeFile(tmp_path, JSON.stringify(this.state, null, 2))
+        await fs.promises.rename(tmp_path, this.path)
+    }
+}
+
+const emptyState = () => {
+    return {
+        variants: {},
+        last_synced_at: null
+    }
+}
+
+const hashProduct = product => {
+    return crypto.createHash("sha1").update(JSON.stringify(product)).digest("hex")
+}
+
+module.exports = {
+    MemoryStateStore,
+    JSONFileStateStore,
+    hashProduct
+}
\ No newline at end of file
@@ -0,0 +1,223 @@
+const { SyncRunner, summarizeRun } = require("./sync_runner")
+const { validateProductVariants } = require("./shopify_engine")
+const { createRunId } = require("./audit_log")
+
+// runs named sync profiles, each syncing one shopify store into one quickbooks company, where several stores may share a company.
+// stores sharing a company are validated together so that skus, names and barcodes don't collide across them, the first
+// profile in the list keeping a duplicate and the later ones having it reported. each store owns the items whose sku starts
+// with its sku_prefix (the longest matching prefix wins) and never renames, updates or deactivates another store's items
+class SyncProfiles {
+    // profiles is a list of { name, shopify, quickbooks, state_store, sku_prefix, mapping, validation, field_sources, exchange_rates },
+    // profiles sharing a company share the same QuickBooksEngine
+    constructor({ profiles }) {
+        this.profiles = profiles.map(profile => ({
+            ...profile,
+            sku_prefix: profile.sku_prefix || ""
+        }))
+
+        let names = {}
+        this.profiles.forEach(({ name }) => {
+            if (!name || names[name]) {
+                throw new Error(`every sync profile needs a unique name: ${name}`)
+            }
+            names[name] = true
+        })
+
+        this.groups = groupByCompany(this.profiles)
+
+        this.runners = {}
+        this.groups.forEach(group => {
+            group.forEach(profile => {
+                const { name, shopify, quickbooks, state_store = null, mapping = {}, validation = {}, field_sources = {}, exchange_rates = null, sku_prefix } = profile
+
+                this.runners[name] = new SyncRunner({
+                    shopify,
+                    quickbooks,
+                    state_store,
+                    mapping,
+                    validation,
+                    field_sources,
+                    exchange_rates,
+                    sku_prefix,
+                    owns: group.length > 1 ? item => ownerOf(item.Sku, group) == name : null
+                })
+            })
+        })
+    }
+
+    // names limits the run to the given profiles, the other stores sharing their companies are still fetched for validation.
+    // every profile's writes are logged under the same run id, so the whole run rolls back at once
+    async run({ names = null, dry_run = false, incremental = false, concurrency = 1, skus = null, run_id = createRunId() } = {}) {
+        this.checkNames(names)
+
+        let results = []
+
+        for (const group of this.groups) {
+            const selected = group.filter(({ name }) => !names || names.includes(name))
+            if (selected.length == 0) {
+                continue
+            }
+
+            const catalogs = await this.fetchCatalogs(group, { incremental })
+
+            for (const { name } of selected) {
+                const index = group.findIndex(profile => profile.name == name)
+                const summary = await this.runners[name].run({
+                    dry_run,
+                    concurrency,
+                    skus,
+                    catalog: catalogs[index],
+                    preceding_variants: flattenVariants(catalogs.slice(0, index)),
+                    following_variants: flattenVariants(catalogs.slice(index + 1)),
+                    run_id
+                })
+
+                results = results.concat(summary.results.map(result => ({ ...result, profile: name })))
+            }
+        }
+
+        return summarizeRun(results, { dry_run, run_id })
+    }
+
+    // rolls a run back in every company, once per company as the stores sharing it share its audit log. the rolled back
+    // items are forgotten by the state of every store sharing the company, and each result is given the profile owning its sku
+    async rollback(rolled_back_run_id, { dry_run = false, force = false, run_id = createRunId() } = {}) {
+        let results = []
+        let warnings = []
+
+        for (const group of this.groups) {
+            const [first, ...others] = group
+            const writes = await first.quickbooks.findRunWrites(rolled_back_run_id)
+            if (writes.length == 0) {
+                continue
+            }
+
+            const summary = await this.runners[first.name].rollback(rolled_back_run_id, { dry_run, force, run_id })
+
+            for (const { name, state_store } of others) {
+                if (dry_run || !state_store) {
+                    continue
+                }
+
+                await state_store.load()
+                for (const { id, status } of summary.results) {
+                    if (status == "updated" || status == "deactivated") {
+                        await this.runners[name].forgetItem(id)
+                    }
+                }
+                await state_store.save()
+            }
+
+            results = results.concat(summary.results.map(result => ({ ...result, profile: group.length > 1 ? ownerOf(result.sku, group) : first.name })))
+            warnings = warnings.concat(summary.warnings)
+        }
+
+        if (results.length == 0) {
+            throw new Error(`the audit log has no writes of run ${rolled_back_run_id}`)
+        }
+
+        return { ...summarizeRun(results, { dry_run, run_id }), warnings }
+    }
+
+    plan(options = {}) {
+        return this.run({ ...options, dry_run: true })
+    }
+
+    // validates each store against every store sharing its company, returning { ok, results } with the profile of each result.
+    // skus limits the results to the given, prefixed, skus
+    async validate({ names = null, skus = null } = {}) {
+        this.checkNames(names)
+
+        let results = []
+
+        for (const group of this.groups) {
+            const selected = group.filter(({ name }) => !names || names.includes(name))
+            if (selected.length == 0) {
+                continue
+            }
+
+            const catalogs = await this.fetchCatalogs(group)
+
+            for (const { name, quickbooks, mapping = {}, validation = {} } of selected) {
+                const index = group.findIndex(profile => profile.name == name)
+                const offset = flattenVariants(catalogs.slice(0, index)).length
+                const { variants } = catalogs[index]
+                // the other stores' variants are validated with this store's rates too, but only this store's results are kept
+                const currency = await this.runners[name].resolveCurrency(variants)
+                const validated = validateProductVariants(flattenVariants(catalogs), { ...validation, mapping, currency, tax_mapping: quickbooks.tax_mapping })
+
+                results = results.concat(validated.results.slice(offset, offset + variants.length)
+                    .filter((result, i) => !skus || skus.length == 0 || skus.includes(variants[i].sku))
+                    .map(result => ({ ...result, profile: name })))
+            }
+        }
+
+        return {
+            ok: results.every(({ errors }) => errors.length == 0),
+            results
+        }
+    }
+
+    async fetchCatalogs(group, { incremental = false } = {}) {
+        let catalogs = []
+
+        for (const { name } of group) {
+            catalogs = catalogs.concat(await this.runners[name].fetchVariants({ incremental }))
+        }
+
+        return catalogs
+    }
+
+    checkNames(names) {
+        const unknown = (names || []).filter(name => !this.runners[name])
+        if (unknown.length > 0) {
+            throw new Error(`unknown sync profile: ${unknown.join(", ")}; expected one of: ${Object.keys(this.runners).join(", ")}`)
+        }
+    }
+}
+
+// keeps the profile order within each company
+const groupByCompany = profiles => {
+    let groups = []
+
+    profiles.forEach(profile => {
+        const group = groups.find(([first]) => first.quickbooks === profile.quickbooks)
+        if (group) {
+            group.push(profile)
+        } else {
+            groups.push([profile])
+        }
+    })
+
+    groups.forEach(group => {
+        if (group.length < 2) {
+            return
+        }
+
+        let prefixes = {}
+        group.forEach(({ name, sku_prefix }) => {
+            if (prefixes[sku_prefix] !== undefined) {
+                throw new Error(`sync profiles ${prefixes[sku_prefix]} and ${name} share a quickbooks company and the sku prefix "${sku_prefix}"; stores sharing a company need their own sku prefixes`)
+            }
+            prefixes[sku_prefix] = name
+        })
+    })
+
+    return groups
+}
+
+// the profile whose sku prefix is the longest match, an empty prefix matching any sku that no other prefix does
+const ownerOf = (sku, group) => {
+    const owners = group.filter(({ sku_prefix }) => sku && sku.startsWith(sku_prefix))
+    const owner = owners.sort((a, b) => b.sku_prefix.length - a.sku_prefix.length)[0]
+
+    return owner ? owner.name : null
+}
+
+const flattenVariants = catalogs => {
+    return catalogs.reduce((variants, catalog) => variants.concat(catalog.variants), [])
+}
+
+module.exports = {
+    SyncProfiles
+}
\ No newline at end of file
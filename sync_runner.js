@@ -0,0 +1,830 @@
+const chalk = require("chalk")
+const { validateProductVariants, createProductVariantValidator, parseProduct } = require("./shopify_engine")
+const { hashProduct } = require("./state_store")
+const { mapConcurrently, mapIterableConcurrently } = require("./request_scheduler")
+const { resolveMapping } = require("./product_mapping")
+const { resolveExchangeRates, addExchangeRates, fromHomeCurrency } = require("./exchange_rates")
+const { createRunId } = require("./audit_log")
+
+class SyncRunner {
+    // mapping configures how variant names and descriptions are generated, see product_mapping.js,
+    // and validation takes the { rules, custom_rules } of validateProductVariants, see validation_rules.js.
+    // field_sources sets which side owns UnitPrice and PurchaseCost, see resolveFieldSources in quickbooks_engine.js,
+    // and exchange_rates is the provider prices and costs in other currencies are converted with, see exchange_rates.js.
+    // sku_prefix is put in front of every shopify sku, for stores that share a quickbooks company, and owns(item) tells
+    // whether a quickbooks item belongs to this store, items it doesn't own are never renamed, updated or deactivated
+    constructor({ shopify, quickbooks, state_store = null, mapping = {}, validation = {}, field_sources = {}, exchange_rates = null, sku_prefix = "", owns = null }) {
+        this.shopify = shopify
+        this.quickbooks = quickbooks
+        this.state_store = state_store
+        this.mapping = mapping
+        this.validation = validation
+        this.field_sources = field_sources
+        this.exchange_rates = exchange_rates
+        this.sku_prefix = sku_prefix
+        this.owns = owns
+    }
+
+    // loads the state and fetches the variants a run syncs, with their skus prefixed
+    async fetchVariants({ incremental = false } = {}) {
+        const fetched_at = new Date()
+
+        if (this.state_store) {
+            await this.state_store.load()
+        }
+
+        const updated_since = incremental && this.state_store ? await this.state_store.getLastSyncedAt() : null
+        const variants = await this.shopify.getAllProductVariants({ updated_since, include_collections: this.includeCollections() })
+
+        return { variants: this.prefixVariants(variants), fetched_at }
+    }
+
+    includeCollections() {
+        return resolveMapping(this.mapping).category_source == "collections"
+    }
+
+    prefixVariants(variants) {
+        return this.sku_prefix ? variants.map(variant => ({ ...variant, sku: prefixSKU(variant.sku, this.sku_prefix) })) : variants
+    }
+
+    prefixOrder(order) {
+        if (!this.sku_prefix) {
+            return order
+        }
+
+        const prefixLineItems = line_items => line_items.map(line_item => ({ ...line_item, sku: prefixSKU(line_item.sku, this.sku_prefix) }))
+
+        return {
+            ...order,
+            line_items: prefixLineItems(order.line_items),
+            refunds: order.refunds.map(refund => ({ ...refund, line_items: prefixLineItems(refund.line_items) }))
+        }
+    }
+
+    // with a state store, variants whose content hash is unchanged since their last sync are not looked up in quickbooks,
+    // and an incremental run only fetches the variants updated since the last successful run.
+    // note that an incremental run validates duplicates within the updated variants only.
+    // concurrency sets how many variants are synced at once, the engines' schedulers still bound the actual api calls.
+    // catalog takes variants already fetched with fetchVariants. preceding_variants and following_variants are the variants of
+    // the stores before and after this one syncing into the same quickbooks company, they are validated together with this store's
+    // so that duplicates across stores are caught, and as with duplicates within a store the first variant keeps its sku, name or barcode.
+    // with the shopify engine in the bulk fetch mode and no catalog the variants are streamed, see streamRun.
+    // run_id identifies the run's writes in the quickbooks audit log, see rollback
+    async run({ dry_run = false, incremental = false, concurrency = 1, skus = null, catalog = null, preceding_variants = [], following_variants = [], run_id = createRunId() } = {}) {
+        if (this.shopify.fetch_mode == "bulk" && !catalog) {
+            return this.streamRun({ dry_run, incremental, concurrency, skus, run_id })
+        }
+
+        const { variants, fetched_at: started_at } = catalog || await this.fetchVariants({ incremental })
+
+        const currency = await this.resolveCurrency(variants)
+        // the whole catalog is validated so that duplicates are caught even when only some skus are synced
+        const { results: validation_results } = validateProductVariants(preceding_variants.concat(variants, following_variants), { ...this.validation, mapping: this.mapping, currency, tax_mapping: this.quickbooks.tax_mapping })
+        const validation = { results: validation_results.slice(preceding_variants.length, preceding_variants.length + variants.length) }
+        const selected = selectVariants(variants, validation, skus)
+
+        await this.prepareQuickBooks()
+
+        const results = await mapConcurrently(selected, concurrency, ({ variant, errors }) => this.syncValidatedVariant(variant, errors, { dry_run, currency, run_id }))
+
+        return this.finishRun(results, { dry_run, started_at, run_id, skus })
+    }
+
+    // syncs the variants as they are streamed from a bulk operation, without the catalog ever being held at once. each variant is
+    // validated against the ones before it, which reports duplicates as validating the whole catalog does, but validation rules
+    // with a catalog check can't be used. exchange rates are looked up as new currencies turn up
+    async streamRun({ dry_run = false, incremental = false, concurrency = 1, skus = null, run_id = createRunId() } = {}) {
+        const started_at = new Date()
+
+        const currency = { home_currency: await this.quickbooks.getHomeCurrency(), rates: {} }
+        const validate = createProductVariantValidator({ ...this.validation, mapping: this.mapping, currency, tax_mapping: this.quickbooks.tax_mapping })
+        const looked_up = new Set()
+
+        await this.prepareQuickBooks()
+
+        const variants = this.iterateVariants({ incremental })
+        const exchange_rates = this.exchange_rates
+
+        // the whole stream is validated so that duplicates are caught even when only some skus are synced
+        const selected = async function* () {
+            for await (const variant of variants) {
+                await addExchangeRates(currency, [variant], exchange_rates, looked_up)
+                const { errors } = validate(variant)
+
+                if (!skus || skus.length == 0 || skus.includes(variant.sku)) {
+                    yield { variant, errors }
+                }
+            }
+        }
+
+        const results = await mapIterableConcurrently(selected(), concurrency, ({ variant, errors }) => this.syncValidatedVariant(variant, errors, { dry_run, currency, run_id }))
+
+        return this.finishRun(results, { dry_run, started_at, run_id, skus })
+    }
+
+    // loads the state and yields the variants a run syncs one at a time, with their skus prefixed
+    async *iterateVariants({ incremental = false } = {}) {
+        if (this.state_store) {
+            await this.state_store.load()
+        }
+
+        const updated_since = incremental && this.state_store ? await this.state_store.getLastSyncedAt() : null
+
+        for await (const variant of this.shopify.iterateProductVariants({ updated_since, include_collections: this.includeCollections() })) {
+            yield this.sku_prefix ? { ...variant, sku: prefixSKU(variant.sku, this.sku_prefix) } : variant
+        }
+    }
+
+    async prepareQuickBooks() {
+        // a broken account or tax mapping fails the run here rather than on the first item it creates
+        await this.quickbooks.resolveAccounts({ refresh: true })
+        if (this.quickbooks.tax_mapping) {
+            await this.quickbooks.resolveTaxCodes({ refresh: true })
+        }
+
+        await this.refreshItemIndex()
+    }
+
+    // in the batch mode the items are read again for every run, inventory, order and refund sync and every webhook, as they may have been changed in quickbooks
+    // since, which would leave the index with stale SyncTokens and without the items created elsewhere
+    async refreshItemIndex() {
+        if (this.quickbooks.batch) {
+            await this.quickbooks.loadItemIndex({ refresh: true })
+        }
+    }
+
+    async syncValidatedVariant(variant, errors, { dry_run = false, currency = null, run_id = null } = {}) {
+        if (errors.length > 0) {
+            return {
+                id: variant.id,
+                sku: variant.sku,
+                status: "skipped",
+                errors
+            }
+        }
+
+        return this.syncVariant(variant, { dry_run, currency, run_id })
+    }
+
+    async finishRun(results, { dry_run, started_at, run_id, skus = null }) {
+        const summary = summarizeRun(results, { dry_run, run_id })
+
+        if (this.state_store && !dry_run) {
+            // failed variants, those left out by skus and those skipped until an exchange rate or tax mapping is configured would be
+            // missed by the next incremental run if the sync time moved past them, as configuring it doesn't update the variants
+            const retryable = results.some(({ status, errors = [] }) => status == "skipped" && errors.some(({ code }) => RETRYABLE_SKIP_CODES.includes(code)))
+            if (summary.failed == 0 && !retryable && (!skus || skus.length == 0)) {
+                await this.state_store.setLastSyncedAt(started_at)
+            }
+
+            await this.state_store.save()
+        }
+
+        return summary
+    }
+
+    // syncs the given variants only, e.g. the variants of a product from a webhook. duplicates are checked
+    // within the given variants only, and the last synced time is left alone as the rest of the catalog was not synced
+    async syncProductVariants(unprefixed_variants, { dry_run = false, run_id = createRunId() } = {}) {
+        const variants = this.prefixVariants(unprefixed_variants)
+        const currency = await this.resolveCurrency(variants)
+        const validation = validateProductVariants(variants, { ...this.validation, mapping: this.mapping, currency, tax_mapping: this.quickbooks.tax_mapping })
+
+        await this.quickbooks.resolveAccounts()
+        await this.refreshItemIndex()
+
+        let results = []
+
+        for (const { variant, errors } of selectVariants(variants, validation, null)) {
+            if (errors.length > 0) {
+                results = results.concat({
+                    id: variant.id,
+                    sku: variant.sku,
+                    status: "skipped",
+                    errors
+                })
+                continue
+            }
+
+            results = results.concat(await this.syncVariant(variant, { dry_run, currency, run_id }))
+        }
+
+        if (this.state_store && !dry_run) {
+            await this.state_store.save()
+        }
+
+        return summarizeRun(results, { dry_run, run_id })
+    }
+
+    // deactivates the inventory items of a product deleted from shopify, which needs a state store
+    // as the deleted product's variants and skus can no longer be looked up in shopify
+    async deactivateProductVariants(product_id, { dry_run = false, run_id = createRunId() } = {}) {
+        if (!this.state_store) {
+            throw new Error(`can't deactivate the variants of deleted product ${product_id} without a state store`)
+        }
+
+        await this.refreshItemIndex()
+
+        let results = []
+
+        for (const { variant_id, sku } of await this.state_store.findVariantsByProductId(product_id)) {
+            try {
+                const product = await this.quickbooks.findProductBySKU(sku)
+                if (product && this.owns && !this.owns(product)) {
+                    throw new Error(`item ${product.Id} with sku ${sku} belongs to another store`)
+                }
+
+                if (!product || !product.Active) {
+                    results = results.concat({
+                        id: variant_id,
+                        sku,
+                        status: "unchanged",
+                        changes: [],
+                        errors: []
+                    })
+                } else {
+                    const { action, changes } = await this.quickbooks.deactivateProduct(product, { dry_run, run_id, reason: "product deleted" })
+                    results = results.concat({
+                        id: variant_id,
+                        sku,
+                        status: action,
+                        changes,
+                        errors: []
+                    })
+                }
+
+                if (!dry_run) {
+                    await this.state_store.deleteVariant(variant_id)
+                }
+            } catch (err) {
+                results = results.concat({
+                    id: variant_id,
+                    sku,
+                    status: "failed",
+                    errors: [{ message: describeError(err), error: err }]
+                })
+            }
+        }
+
+        if (!dry_run) {
+            await this.state_store.save()
+        }
+
+        return summarizeRun(results, { dry_run, run_id })
+    }
+
+    // the rates each price and cost currency of the variants converts into the quickbooks home currency with
+    async resolveCurrency(variants) {
+        return resolveExchangeRates(variants, await this.quickbooks.getHomeCurrency(), this.exchange_rates)
+    }
+
+    async syncVariant(variant, { dry_run = false, currency = null, run_id = null } = {}) {
+        try {
+            const product = parseProduct(variant, { mapping: this.mapping, currency })
+            // stock moves on its own schedule through syncInventory and should not count as a content change
+            const { quantity, ...content } = product
+            // fields quickbooks can own may have changed there without the shopify hash moving
+            const shopify_owned = Object.keys(this.field_sources).every(field => this.field_sources[field] == "shopify")
+            // syncing vendors or tax codes changes the hash, so that the items synced before are given their preferred vendor and tax codes,
+            // and so do field sources, so that shopify's values are synced once it owns the fields again, e.g. to settle a conflict
+            const hash = hashProduct({
+                ...content,
+                ...(this.quickbooks.vendors ? { vendors: true } : {}),
+                ...(this.quickbooks.tax_mapping ? { tax_mapping: this.quickbooks.tax_mapping } : {}),
+                ...(shopify_owned ? {} : { field_sources: this.field_sources })
+            })
+
+            const record = this.state_store ? await this.state_store.getVariant(variant.id) : null
+            if (record && record.hash == hash && shopify_owned) {
+                return {
+                    id: variant.id,
+                    sku: variant.sku,
+                    status: "unchanged",
+                    changes: [],
+                    errors: []
+                }
+            }
+
+            const { action, item, changes, writeback = {}, conflicts = [], synced_fields = null } = await this.quickbooks.syncProduct(product, {
+                dry_run,
+                field_sources: this.field_sources,
+                last_synced: record ? record.synced_fields : null,
+                owns: this.owns,
+                run_id
+            })
+
+            if (Object.keys(writeback).length > 0 && !dry_run) {
+                await this.shopify.updateProductVariant(variant, toShopifyCurrency(variant, writeback, currency))
+            }
+
+            if (this.state_store && !dry_run) {
+                await this.state_store.setVariant(variant.id, {
+                    product_id: variant.product_id,
+                    sku: variant.sku,
+                    item_id: item.Id,
+                    hash,
+                    synced_fields,
+                    synced_at: new Date().toISOString()
+                })
+            }
+
+            return {
+                id: variant.id,
+                sku: variant.sku,
+                status: action,
+                changes,
+                conflicts,
+                errors: []
+            }
+        } catch (err) {
+            return {
+                id: variant.id,
+                sku: variant.sku,
+                status: "failed",
+                errors: [{ message: describeError(err), error: err }]
+            }
+        }
+    }
+
+    plan(options = {}) {
+        return this.run({ ...options, dry_run: true })
+    }
+
+    // validates the catalog as a run would, with the quickbooks home currency and the exchange rates so that missing rates are
+    // reported, returning { ok, results }. skus limits the results to the given, prefixed, skus
+    async validate({ skus = null } = {}) {
+        const { variants } = await this.fetchVariants()
+        const currency = await this.resolveCurrency(variants)
+        const validation = validateProductVariants(variants, { ...this.validation, mapping: this.mapping, currency, tax_mapping: this.quickbooks.tax_mapping })
+
+        const results = validation.results.filter((result, i) => !skus || skus.length == 0 || skus.includes(variants[i].sku))
+
+        return {
+            ok: results.every(({ errors }) => errors.length == 0),
+            results
+        }
+    }
+
+    // moves quickbooks stock to the shopify inventory quantity of every valid variant
+    async syncInventory({ memo, date, dry_run = false, skus = null } = {}) {
+        const variants = this.prefixVariants(await this.shopify.getAllProductVariants())
+        await this.refreshItemIndex()
+        const validation = validateProductVariants(variants, { ...this.validation, mapping: this.mapping, tax_mapping: this.quickbooks.tax_mapping })
+
+        let results = []
+
+        for (const { variant, errors } of selectVariants(variants, validation, skus)) {
+            if (errors.length > 0) {
+                results = results.concat({
+                    id: variant.id,
+                    sku: variant.sku,
+                    status: "skipped",
+                    errors
+                })
+                continue
+            }
+
+            try {
+                const { action, previous_quantity, quantity, delta, changes } = await this.quickbooks.adjustInventory(parseProduct(variant, { mapping: this.mapping }), { memo, date, dry_run })
+                results = results.concat({
+                    id: variant.id,
+                    sku: variant.sku,
+                    status: action,
+                    previous_quantity,
+                    quantity,
+                    delta,
+                    changes,
+                    errors: []
+                })
+            } catch (err) {
+                results = results.concat({
+                    id: variant.id,
+                    sku: variant.sku,
+                    status: "failed",
+                    errors: [{ message: describeError(err), error: err }]
+                })
+            }
+        }
+
+        return summarizeRun(results, { dry_run })
+    }
+
+    // posts a sales receipt for every paid shopify order that is not in quickbooks yet,
+    // including orders that were refunded since so that their refund receipts have a sale to offset
+    async syncOrders({ query = PAID_ORDERS_QUERY, dry_run = false } = {}) {
+        const orders = await this.shopify.getAllOrders({ query })
+        await this.refreshItemIndex()
+
+        let results = []
+
+        for (const order of orders) {
+            if (!PAID_FINANCIAL_STATUSES.includes(order.financial_status)) {
+                results = results.concat({
+                    id: order.id,
+                    name: order.name,
+                    status: "skipped",
+                    errors: [{ message: `order is not paid: ${order.financial_status}` }]
+                })
+                continue
+            }
+
+            results = results.concat(await this.syncOrder(order, { dry_run, refresh_index: false }))
+        }
+
+        return summarizeRun(results, { dry_run })
+    }
+
+    // refresh_index is left off by syncOrders, which refreshes the item index once for all of its orders
+    async syncOrder(order, { dry_run = false, refresh_index = true } = {}) {
+        try {
+            if (refresh_index) {
+                await this.refreshItemIndex()
+            }
+
+            if (order.line_items_truncated) {
+                throw new Error(`only the first ${order.line_items.length} line items of order ${order.name} were fetched, it has to be posted by hand`)
+            }
+
+            const { action, changes } = await this.quickbooks.syncOrder(this.prefixOrder(order), { dry_run })
+            return {
+                id: order.id,
+                name: order.name,
+                status: action,
+                changes,
+                errors: []
+            }
+        } catch (err) {
+            return {
+                id: order.id,
+                name: order.name,
+                status: "failed",
+                errors: [{ message: describeError(err), error: err }]
+            }
+        }
+    }
+
+    // posts a refund receipt for every refund of a shopify order that is not in quickbooks yet
+    async syncRefunds({ query = REFUNDED_ORDERS_QUERY, dry_run = false } = {}) {
+        const orders = await this.shopify.getAllOrders({ query })
+        await this.refreshItemIndex()
+
+        let results = []
+
+        for (const order of orders.map(order => this.prefixOrder(order))) {
+            if (order.refunds_truncated) {
+                results = results.concat({
+                    id: null,
+                    order_id: order.id,
+                    name: order.name,
+                    status: "failed",
+                    errors: [{ message: `only the first ${order.refunds.length} refunds of order ${order.name} were fetched, the others have to be posted by hand` }]
+                })
+            }
+
+            for (const refund of order.refunds) {
+                try {
+                    if (refund.line_items_truncated) {
+                        throw new Error(`only the first ${refund.line_items.length} line items of refund ${refund.legacy_id} of order ${order.name} were fetched, it has to be posted by hand`)
+                    }
+
+                    const { action, changes } = await this.quickbooks.syncRefund(order, refund, { dry_run })
+                    results = results.concat({
+                        id: refund.id,
+                        order_id: order.id,
+                        name: order.name,
+                        status: action,
+                        changes,
+                        errors: []
+                    })
+                } catch (err) {
+                    results = results.concat({
+                        id: refund.id,
+                        order_id: order.id,
+                        name: order.name,
+                        status: "failed",
+                        errors: [{ message: describeError(err), error: err }]
+                    })
+                }
+            }
+        }
+
+        return summarizeRun(results, { dry_run })
+    }
+
+    // drafts a purchase order per vendor for the given, prefixed, skus, as skus or { sku, quantity } with quantity defaulting to
+    // quantity, priced with each variant's unit cost in the home currency. a variant without a vendor or a cost is skipped
+    async draftPurchaseOrders(items, { quantity = 1, memo, date, dry_run = false } = {}) {
+        const variants = this.prefixVariants(await this.shopify.getAllProductVariants())
+        const currency = await this.resolveCurrency(variants)
+
+        let results = []
+        let orders = []
+
+        for (const item of items) {
+            const { sku, quantity: item_quantity = quantity } = typeof item == "string" ? { sku: item } : item
+            const variant = variants.find(variant => variant.sku == sku)
+            if (!variant) {
+                results = results.concat({
+                    id: null,
+                    sku,
+                    status: "failed",
+                    errors: [{ message: `no shopify variant found for sku: ${sku}` }]
+                })
+                continue
+            }
+
+            const product = parseProduct(variant, { mapping: this.mapping, currency })
+            const missing = !product.vendor ? "vendor" : product.purchase_cost === null ? "unit cost" : null
+            if (missing) {
+                results = results.concat({
+                    id: variant.id,
+                    sku,
+                    status: "skipped",
+                    errors: [{ message: `no ${missing} to order sku ${sku} with` }]
+                })
+                continue
+            }
+
+            let order = orders.find(({ vendor }) => vendor == product.vendor)
+            if (!order) {
+                order = { vendor: product.vendor, lines: [] }
+                orders = orders.concat(order)
+            }
+            order.lines.push({ sku, quantity: item_quantity, unit_cost: product.purchase_cost })
+        }
+
+        for (const { vendor, lines } of orders) {
+            try {
+                const { action, item, changes } = await this.quickbooks.draftPurchaseOrder(vendor, lines, { memo, date, dry_run })
+                results = results.concat({
+                    id: item.Id || null,
+                    name: vendor,
+                    status: action,
+                    changes,
+                    errors: []
+                })
+            } catch (err) {
+                results = results.concat({
+                    id: null,
+                    name: vendor,
+                    status: "failed",
+                    errors: [{ message: describeError(err), error: err }]
+                })
+            }
+        }
+
+        return summarizeRun(results, { dry_run })
+    }
+
+    // deactivates every active inventory item whose sku no longer belongs to a shopify variant,
+    // refusing to go ahead when that would take out more than max_deactivation_percent of the catalog.
+    // only the items this store owns are considered
+    async reconcile({ max_deactivation_percent = 10, dry_run = false, run_id = createRunId() } = {}) {
+        const [unprefixed_variants, all_products] = await Promise.all([this.shopify.getAllProductVariants(), this.quickbooks.findActiveProducts()])
+        const variants = this.prefixVariants(unprefixed_variants)
+        const products = this.owns ? all_products.filter(this.owns) : all_products
+
+        const current_skus = new Set(variants.filter(({ sku }) => sku && sku != "").map(({ sku }) => sku))
+        const orphaned_products = products.filter(({ Sku }) => Sku && !current_skus.has(Sku))
+
+        const deactivation_percent = products.length > 0 ? orphaned_products.length / products.length * 100 : 0
+        if (deactivation_percent > max_deactivation_percent) {
+            throw new Error(`refusing to deactivate ${orphaned_products.length} of ${products.length} active products (${deactivation_percent.toFixed(1)}%); the limit is ${max_deactivation_percent}%`)
+        }
+
+        let results = []
+
+        for (const product of orphaned_products) {
+            try {
+                const { action, changes } = await this.quickbooks.deactivateProduct(product, { dry_run, run_id, reason: "orphaned" })
+                results = results.concat({
+                    id: product.Id,
+                    sku: product.Sku,
+                    status: action,
+                    changes,
+                    errors: []
+                })
+            } catch (err) {
+                results = results.concat({
+                    id: product.Id,
+                    sku: product.Sku,
+                    status: "failed",
+                    errors: [{ message: describeError(err), error: err }]
+                })
+            }
+        }
+
+        return summarizeRun(results, { dry_run, run_id })
+    }
+
+    // puts the quickbooks items a run wrote back the way they were before it, from the audit log of the quickbooks engine.
+    // items changed since the run are skipped with a conflict unless forced. with a state store the rolled back variants are
+    // forgotten, so that the next run compares them with quickbooks again rather than taking them for unchanged
+    async rollback(rolled_back_run_id, { dry_run = false, force = false, run_id = createRunId() } = {}) {
+        // the audit log lines that couldn't be read are reported with the summary, as the writes they held are not rolled back
+        let warnings = []
+        const writes = await this.quickbooks.findRunWrites(rolled_back_run_id, { on_skipped_line: ({ message }) => warnings.push({ message }) })
+        if (writes.length == 0) {
+            throw new Error(`the audit log has no writes of run ${rolled_back_run_id}`)
+        }
+
+        if (this.state_store) {
+            await this.state_store.load()
+        }
+
+        let results = []
+
+        for (const item_writes of writes) {
+            try {
+                const { id, sku, action, changes, conflict } = await this.quickbooks.rollbackItem(item_writes, {
+                    dry_run,
+                    force,
+                    run_id,
+                    reason: `rollback of run ${rolled_back_run_id}`
+                })
+
+                if (!dry_run && action != "skipped" && action != "unchanged") {
+                    await this.forgetItem(id)
+                }
+
+                results = results.concat({
+                    id,
+                    sku,
+                    name: item_writes.last.name,
+                    status: action,
+                    changes,
+                    errors: conflict ? [{ code: "conflict", message: conflict }] : []
+                })
+            } catch (err) {
+                results = results.concat({
+                    id: item_writes.item_id,
+                    sku: item_writes.last.sku,
+                    name: item_writes.last.name,
+                    status: "failed",
+                    errors: [{ message: describeError(err), error: err }]
+                })
+            }
+        }
+
+        if (this.state_store && !dry_run) {
+            await this.state_store.save()
+        }
+
+        return { ...summarizeRun(results, { dry_run, run_id }), warnings }
+    }
+
+    // drops the state of the variants synced into the quickbooks item, the caller saves the state store
+    async forgetItem(item_id) {
+        if (!this.state_store) {
+            return
+        }
+
+        for (const { variant_id } of await this.state_store.findVariantsByItemId(item_id)) {
+            await this.state_store.deleteVariant(variant_id)
+        }
+    }
+}
+
+// the validation errors of missing exchange rates and tax mappings, see validation_rules.js
+const RETRYABLE_SKIP_CODES = [114, 115]
+
+const PAID_FINANCIAL_STATUSES = ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"]
+const PAID_ORDERS_QUERY = "financial_status:paid OR financial_status:partially_refunded OR financial_status:refunded"
+const REFUNDED_ORDERS_QUERY = "financial_status:partially_refunded OR financial_status:refunded"
+
+// empty skus are left empty so that they still fail validation
+const prefixSKU = (sku, prefix) => {
+    return sku ? `${prefix}${sku}` : sku
+}
+
+// quickbooks values are in the home currency, shopify keeps the price in the shop's currency and the cost in its own
+const toShopifyCurrency = (variant, writeback, currency) => {
+    const cost_currency_code = variant.inventory_item.unit_cost ? variant.inventory_item.unit_cost.currency_code : null
+
+    return {
+        ...writeback,
+        ...(writeback.UnitPrice !== undefined ? { UnitPrice: fromHomeCurrency(writeback.UnitPrice, variant.price_currency_code, currency) } : {}),
+        ...(writeback.PurchaseCost !== undefined ? { PurchaseCost: fromHomeCurrency(writeback.PurchaseCost, cost_currency_code, currency) } : {})
+    }
+}
+
+// pairs each variant with its validation errors, keeping only the given skus when there are any
+const selectVariants = (variants, validation, skus) => {
+    const selected = variants.map((variant, i) => ({ variant, errors: validation.results[i].errors }))
+    return skus && skus.length > 0 ? selected.filter(({ variant }) => skus.includes(variant.sku)) : selected
+}
+
+const summarizeRun = (results, { dry_run = false, run_id = null } = {}) => {
+    let counts = {
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        deactivated: 0,
+        adjusted: 0,
+        skipped: 0,
+        failed: 0
+    }
+
+    results.forEach(({ status }) => {
+        counts[status] += 1
+    })
+
+    // a conflict does not fail the run, the field is left alone on both sides until it is resolved by hand
+    const conflicts = results.filter(({ conflicts = [] }) => conflicts.length > 0).length
+
+    return {
+        ok: counts.failed == 0,
+        dry_run,
+        run_id,
+        ...counts,
+        conflicts,
+        results
+    }
+}
+
+const RUN_STATUS_COLORS = {
+    created: chalk.green.bold,
+    updated: chalk.green.bold,
+    unchanged: chalk.gray.bold,
+    deactivated: chalk.yellow.bold,
+    adjusted: chalk.green.bold,
+    skipped: chalk.yellow.bold,
+    failed: chalk.red.bold
+}
+
+const logRunResults = ({ ok, dry_run, run_id = null, results, warnings = [], ...counts }) => {
+    results.forEach(({ id, profile, sku, name, status, changes, conflicts = [], errors }) => {
+        console.log(`    ${chalk.gray.bold(`[${id}]`)}`)
+        if (profile) {
+            console.log(`        ${chalk.gray("profile:")} ${chalk.blueBright.bold(profile)}`)
+        }
+        if (sku) {
+            console.log(`        ${chalk.gray("sku:")} ${chalk.blueBright.bold(sku)}`)
+        }
+        if (name) {
+            console.log(`        ${chalk.gray("name:")} ${chalk.blueBright.bold(name)}`)
+        }
+        console.log(`        ${chalk.gray("status:")} ${RUN_STATUS_COLORS[status](`${dry_run && status != "skipped" && status != "failed" ? "WOULD BE " : ""}${status.toUpperCase()}`)}`)
+
+        if (changes && changes.length > 0) {
+            console.log(`        ${chalk.gray("changes:")}`)
+            changes.forEach(({ type, sku, name, diff }) => {
+                console.log(`            ${chalk.cyan.bold(type)} ${chalk.cyan(sku || name || "")}`)
+                if (diff) {
+                    diff.forEach(({ field, old, new: value }) => {
+                        console.log(`                ${chalk.gray(`${field}:`)} ${chalk.red(JSON.stringify(old))} ${chalk.gray("->")} ${chalk.green(JSON.stringify(value))}`)
+                    })
+                }
+            })
+        }
+
+        if (conflicts.length > 0) {
+            console.log(`        ${chalk.gray("conflicts:")}`)
+            conflicts.forEach(({ field, shopify, quickbooks, last_synced }) => {
+                console.log(`            ${chalk.yellow.bold(field)} ${chalk.gray("shopify:")} ${chalk.yellow(JSON.stringify(shopify))} ${chalk.gray("quickbooks:")} ${chalk.yellow(JSON.stringify(quickbooks))} ${chalk.gray("last synced:")} ${JSON.stringify(last_synced)}`)
+            })
+        }
+
+        if (errors.length > 0) {
+            console.log(`        ${chalk.gray("errors:")}`)
+            errors.forEach(({ code, message }) => {
+                console.log(`            ${code ? `${chalk.red.bold(code)} ` : ""}${chalk.red(message)}`)
+            })
+        }
+
+        console.log("\n")
+    })
+
+    const summary = Object.keys(counts).filter(status => counts[status] > 0).map(status => `${counts[status]} ${status}`).join(", ")
+    console.log(`    ${(ok ? chalk.green.bold : chalk.red.bold)(`${dry_run ? "plan" : "sync"} ${ok ? "completed" : "completed with failures"}${summary ? `: ${summary}` : ""}`)}`)
+    if (run_id && !dry_run) {
+        console.log(`    ${chalk.gray("run id:")} ${chalk.blueBright.bold(run_id)}`)
+    }
+    warnings.forEach(({ message }) => {
+        console.log(`    ${chalk.yellow.bold("warning:")} ${chalk.yellow(message)}`)
+    })
+
+    console.log("\n")
+}
+
+// quickbooks rejects with the raw response body, which carries its details in a Fault rather than a message
+const describeError = err => {
+    if (err instanceof Error) {
+        return err.message
+    }
+
+    const fault = err && (err.Fault || err.fault)
+    const fault_errors = fault && (fault.Error || fault.error)
+    if (fault_errors && fault_errors.length > 0) {
+        return fault_errors.map(e => e.Detail || e.detail || e.Message || e.message).join("; ")
+    }
+
+    return typeof err == "string" ? err : JSON.stringify(err)
+}
+
+module.exports = {
+    SyncRunner,
+    summarizeRun,
+    logRunResults,
+    describeError
+}
\ No newline at end of file
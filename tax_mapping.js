@@ -0,0 +1,53 @@
+// which quickbooks tax codes an item gets, for companies outside the us that tax items by sales and purchase tax code rather than
+// with the Taxable flag. a tax mapping is { taxable: { sales, purchase }, non_taxable: { sales, purchase }, overrides: { product_type } }
+// where the shopify taxable flag of a variant picks the taxable or non_taxable codes, and overrides.product_type[product_type] replaces
+// them code by code. a tax code is given by name, either as a string or as { name }, or by { id }
+const TAX_CODE_ROLES = ["sales", "purchase"]
+
+// the { sales, purchase } codes of the variant or product, or null when the mapping lacks either of them
+const selectTaxCodes = (tax_mapping, { product_type, taxable }) => {
+    const { overrides = {} } = tax_mapping
+    const override = product_type && overrides.product_type ? overrides.product_type[product_type] : null
+
+    const codes = {
+        ...(taxable ? tax_mapping.taxable : tax_mapping.non_taxable),
+        ...override
+    }
+
+    return TAX_CODE_ROLES.every(role => codes[role]) ? { sales: codes.sales, purchase: codes.purchase } : null
+}
+
+// every { scope, role, code } of the mapping, for looking them all up before a run
+const listTaxCodes = tax_mapping => {
+    const { overrides = {}, ...defaults } = tax_mapping
+
+    Object.keys(defaults).forEach(scope => {
+        if (scope != "taxable" && scope != "non_taxable") {
+            throw new Error(`unknown tax mapping key: ${scope}; expected taxable, non_taxable or overrides`)
+        }
+    })
+
+    const scopes = Object.keys(defaults).map(scope => [scope, defaults[scope]])
+        .concat(Object.keys(overrides.product_type || {}).map(product_type => [`product_type ${product_type}`, overrides.product_type[product_type]]))
+
+    return scopes.reduce((codes, [scope, mapping]) => codes.concat(Object.keys(mapping).map(role => {
+        if (!TAX_CODE_ROLES.includes(role)) {
+            throw new Error(`unknown tax code role: ${role} (${scope}); expected one of: ${TAX_CODE_ROLES.join(", ")}`)
+        }
+
+        return { scope, role, code: mapping[role] }
+    })), [])
+}
+
+// matches a code of the mapping against the TaxCodes read from quickbooks
+const findTaxCode = (tax_codes, code) => {
+    const { name, id } = typeof code == "string" ? { name: code } : code
+    return tax_codes.find(tax_code => id ? tax_code.Id == id : tax_code.Name == name) || null
+}
+
+module.exports = {
+    selectTaxCodes,
+    listTaxCodes,
+    findTaxCode,
+    TAX_CODE_ROLES
+}
\ No newline at end of file
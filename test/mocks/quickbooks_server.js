@@ -0,0 +1,566 @@
+const http = require("http")
+
+const DEFAULT_ACCOUNTS = [
+    { Id: "1", Name: "Sales of Product Income", AccountType: "Income", AccountSubType: "SalesOfProductIncome", Active: true },
+    { Id: "2", Name: "Cost of Goods Sold", AccountType: "Cost of Goods Sold", AccountSubType: "SuppliesMaterialsCogs", Active: true },
+    { Id: "3", Name: "Inventory Asset", AccountType: "Other Current Asset", AccountSubType: "Inventory", Active: true },
+    { Id: "4", Name: "Inventory Shrinkage", AccountType: "Cost of Goods Sold", AccountSubType: "OtherCostsOfServiceCos", Active: true },
+    { Id: "5", Name: "Checking", AccountType: "Bank", AccountSubType: "Checking", Active: true }
+]
+
+const TOKEN_PATH = "/oauth2/v1/tokens/bearer"
+
+// fields quickbooks computes or keeps itself, a full update doesn't clear them
+const READ_ONLY_ITEM_FIELDS = ["Id", "SyncToken", "MetaData", "FullyQualifiedName", "Level", "domain", "sparse"]
+
+// an in-process stand-in for the parts of the quickbooks online v3 rest api the engine uses: item and account queries,
+// item reads by id, item create and update with sparse and full update semantics, sync tokens, duplicate name checks, item batches,
+// vendor queries, creates and sparse updates, purchase order and inventory adjustment creates, sales and refund receipt queries
+// and creates, tax code queries, preferences and refresh token exchanges.
+// like quickbooks, queries leave inactive items out unless they filter on Active, and a vendor can't take the display name
+// of another vendor, active or not, or of a customer
+class FakeQuickBooksServer {
+    constructor({ realm_id = "1234567890", access_token = "test-access-token", refresh_token = "test-refresh-token", home_currency = "USD", accounts = DEFAULT_ACCOUNTS, items = [], vendors = [], customers = [], tax_codes = [] } = {}) {
+        this.realm_id = realm_id
+        this.access_token = access_token
+        this.refresh_token = refresh_token
+        this.token_refreshes = 0
+        this.home_currency = home_currency
+        this.accounts = accounts.map(account => ({ ...account }))
+        this.items = []
+        this.vendors = vendors.map(vendor => ({ Active: true, SyncToken: "0", ...vendor }))
+        this.customers = customers.map(customer => ({ Active: true, SyncToken: "0", ...customer }))
+        this.purchase_orders = []
+        this.sales_receipts = []
+        this.refund_receipts = []
+        this.inventory_adjustments = []
+        this.tax_codes = tax_codes.map(tax_code => ({ Active: true, ...tax_code }))
+        this.next_id = 1000
+        this.requests = []
+        // statuses to answer the next api requests with in turn before they are handled, 429 as a throttle fault
+        // and any other as a system fault, as quickbooks does
+        this.failures = []
+
+        items.forEach(item => this.insertItem(item))
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res))
+    }
+
+    // resolves with the base url to give QuickBooksEngine
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${this.server.address().port}/v3/company/`))
+        })
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()))
+    }
+
+    engineConfig(base_url) {
+        return {
+            client_id: "test-client-id",
+            client_secret: "test-client-secret",
+            access_token: this.access_token,
+            refresh_token: this.refresh_token,
+            realm_id: this.realm_id,
+            debug: false,
+            base_url
+        }
+    }
+
+    // the url of the oauth token endpoint, for QuickBooks.TOKEN_URL of node-quickbooks
+    tokenURL() {
+        return `http://127.0.0.1:${this.server.address().port}${TOKEN_PATH}`
+    }
+
+    // exchanges the current refresh token for new access and refresh tokens, a refresh token can only be exchanged once
+    refreshTokens({ grant_type, refresh_token }, respond) {
+        if (grant_type != "refresh_token" || refresh_token != this.refresh_token) {
+            return respond(400, { error: "invalid_grant" })
+        }
+
+        this.token_refreshes += 1
+        this.access_token = `test-access-token-${this.token_refreshes}`
+        this.refresh_token = `test-refresh-token-${this.token_refreshes}`
+
+        respond(200, {
+            access_token: this.access_token,
+            refresh_token: this.refresh_token,
+            token_type: "bearer",
+            expires_in: 3600,
+            x_refresh_token_expires_in: 8726400
+        })
+    }
+
+    findItem(criteria) {
+        return this.items.find(item => Object.keys(criteria).every(key => item[key] == criteria[key])) || null
+    }
+
+    insertItem(item) {
+        const inserted = {
+            Active: true,
+            ...item,
+            Id: item.Id || String(this.next_id++),
+            SyncToken: item.SyncToken || "0"
+        }
+        inserted.FullyQualifiedName = this.fullyQualifiedName(inserted)
+        this.items.push(inserted)
+
+        return inserted
+    }
+
+    fullyQualifiedName(item) {
+        const parent = item.ParentRef && item.ParentRef.value ? this.items.find(({ Id }) => Id == item.ParentRef.value) : null
+        return parent ? `${parent.FullyQualifiedName}:${item.Name}` : item.Name
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, "http://localhost")
+        const body = await readBody(req)
+        this.requests.push({ method: req.method, path: url.pathname, query: url.searchParams.get("query"), body })
+
+        const respond = (status, payload) => {
+            res.writeHead(status, { "Content-Type": "application/json" })
+            res.end(JSON.stringify(payload))
+        }
+
+        if (req.method == "POST" && url.pathname == TOKEN_PATH) {
+            return this.refreshTokens(body, respond)
+        }
+
+        if (req.headers.authorization != `Bearer ${this.access_token}`) {
+            return respond(401, {
+                fault: {
+                    error: [{ message: "message=AuthenticationFailed; errorCode=003200; statusCode=401", detail: "Token expired", code: "3200" }],
+                    type: "AUTHENTICATION"
+                }
+            })
+        }
+
+        const failure = this.failures.shift()
+        if (failure == 429) {
+            return respond(429, { Fault: { Error: [{ Message: "message=ThrottleExceeded; errorCode=003001; statusCode=429", Detail: "The request limit was reached.", code: "3001" }], type: "ThrottleExceeded" } })
+        }
+
+        if (failure) {
+            return respond(failure, { Fault: { Error: [{ Message: "An application error has occurred while processing your request", Detail: "System Failure Error", code: "10000" }], type: "SystemFault" } })
+        }
+
+        const prefix = `/v3/company/${this.realm_id}/`
+        if (!url.pathname.startsWith(prefix)) {
+            return respond(404, fault("610", "Object Not Found", `unknown path ${url.pathname}`))
+        }
+
+        const resource = url.pathname.slice(prefix.length)
+
+        try {
+            if (req.method == "GET" && resource == "query") {
+                return respond(200, this.query(url.searchParams.get("query")))
+            }
+
+            if (req.method == "GET" && resource == "preferences") {
+                return respond(200, { Preferences: { CurrencyPrefs: { MultiCurrencyEnabled: false, HomeCurrency: { value: this.home_currency } } } })
+            }
+
+            if (req.method == "GET" && resource.startsWith("item/")) {
+                const item = this.findItem({ Id: resource.slice("item/".length) })
+                if (!item) {
+                    throw new FaultError("610", "Object Not Found", `Object Not Found : item ${resource.slice("item/".length)} does not exist`)
+                }
+                return respond(200, { Item: item, time: new Date().toISOString() })
+            }
+
+            if (req.method == "POST" && resource == "item") {
+                const item = url.searchParams.get("operation") == "update" ? this.updateItem(body) : this.createItem(body)
+                return respond(200, { Item: item, time: new Date().toISOString() })
+            }
+
+            if (req.method == "POST" && resource == "vendor") {
+                const vendor = url.searchParams.get("operation") == "update" ? this.updateVendor(body) : this.createVendor(body)
+                return respond(200, { Vendor: vendor, time: new Date().toISOString() })
+            }
+
+            if (req.method == "POST" && resource == "salesreceipt") {
+                const sales_receipt = { ...body, Id: String(this.next_id++), SyncToken: "0" }
+                this.sales_receipts.push(sales_receipt)
+                return respond(200, { SalesReceipt: sales_receipt, time: new Date().toISOString() })
+            }
+
+            if (req.method == "POST" && resource == "refundreceipt") {
+                const refund_receipt = { ...body, Id: String(this.next_id++), SyncToken: "0" }
+                this.refund_receipts.push(refund_receipt)
+                return respond(200, { RefundReceipt: refund_receipt, time: new Date().toISOString() })
+            }
+
+            if (req.method == "POST" && resource == "purchaseorder") {
+                return respond(200, { PurchaseOrder: this.createPurchaseOrder(body), time: new Date().toISOString() })
+            }
+
+            if (req.method == "POST" && resource == "batch") {
+                return respond(200, this.batch(body.BatchItemRequest))
+            }
+
+            respond(400, fault("4000", "Unsupported Operation", `${req.method} ${resource} is not supported by the fake`))
+        } catch (err) {
+            if (err.fault) {
+                return respond(400, err.fault)
+            }
+
+            respond(500, fault("500", "Internal Server Error", err.message))
+        }
+    }
+
+    query(sql) {
+        const { entity, conditions, start_position, max_results } = parseQuery(sql)
+
+        const collections = {
+            Item: this.items,
+            Account: this.accounts,
+            Vendor: this.vendors,
+            TaxCode: this.tax_codes,
+            SalesReceipt: this.sales_receipts,
+            RefundReceipt: this.refund_receipts
+        }
+        const name = Object.keys(collections).find(key => key.toLowerCase() == entity.toLowerCase())
+        const rows = name ? collections[name] : null
+        if (!rows) {
+            throw new FaultError("4000", "Invalid query", `the fake does not query ${entity}`)
+        }
+
+        const filters_active = conditions.some(({ field }) => field == "Active")
+        const matches = rows.filter(row => (filters_active || row.Active !== false) && conditions.every(condition => matchesCondition(row, condition)))
+        const page = matches.slice(start_position - 1, start_position - 1 + max_results)
+
+        if (page.length == 0) {
+            return { QueryResponse: {}, time: new Date().toISOString() }
+        }
+
+        return {
+            QueryResponse: {
+                [name]: page,
+                startPosition: start_position,
+                maxResults: page.length
+            },
+            time: new Date().toISOString()
+        }
+    }
+
+    // operations run in order and fail on their own, each response carrying the bId of its operation
+    batch(operations) {
+        if (operations.length > 30) {
+            throw new FaultError("4000", "Batch request has too many operations", `${operations.length} operations, at most 30 are allowed`)
+        }
+
+        return {
+            BatchItemResponse: operations.map(({ bId, operation, Item, InventoryAdjustment }) => {
+                try {
+                    if (InventoryAdjustment && operation == "create") {
+                        return { bId, InventoryAdjustment: this.createInventoryAdjustment(InventoryAdjustment) }
+                    }
+
+                    if (!Item) {
+                        throw new FaultError("4000", "Unsupported Operation", "the fake only batches items and inventory adjustment creates")
+                    }
+
+                    return { bId, Item: operation == "update" ? this.updateItem(Item) : this.createItem(Item) }
+                } catch (err) {
+                    if (!err.fault) {
+                        throw err
+                    }
+
+                    return { bId, Fault: err.fault.Fault }
+                }
+            }),
+            time: new Date().toISOString()
+        }
+    }
+
+    // moves the QtyOnHand of the adjusted items, which bumps their SyncToken as in quickbooks
+    createInventoryAdjustment(adjustment) {
+        adjustment.Line.forEach(({ ItemAdjustmentLineDetail: { ItemRef, QtyDiff } }) => {
+            const item = this.findItem({ Id: ItemRef.value })
+            if (!item) {
+                throw new FaultError("2500", "Invalid Reference Id", `Invalid Reference Id : Item ${ItemRef.value} not found`)
+            }
+
+            item.QtyOnHand = (item.QtyOnHand || 0) + QtyDiff
+            item.SyncToken = String(parseInt(item.SyncToken, 10) + 1)
+        })
+
+        const created = { ...adjustment, Id: String(this.next_id++), SyncToken: "0" }
+        this.inventory_adjustments.push(created)
+
+        return created
+    }
+
+    createItem(item) {
+        if (!item.Name) {
+            throw new FaultError("2020", "Required param missing, need to supply the required value for the API", "Required parameter Name is missing in the request")
+        }
+
+        if (item.Type == "Inventory") {
+            ["IncomeAccountRef", "ExpenseAccountRef", "AssetAccountRef"].forEach(ref => this.checkAccountRef(item, ref, true))
+            if (!item.InvStartDate) {
+                throw new FaultError("2020", "Required param missing, need to supply the required value for the API", "Required parameter InvStartDate is missing in the request")
+            }
+        }
+
+        this.checkParentRef(item)
+        this.checkDuplicateName(item)
+
+        return this.insertItem({ ...item, Id: null, SyncToken: null })
+    }
+
+    // sparse updates change the given fields only, full updates replace every writable field
+    updateItem(update) {
+        const index = this.items.findIndex(({ Id }) => Id == update.Id)
+        if (index < 0) {
+            throw new FaultError("610", "Object Not Found", `Object Not Found : item ${update.Id} does not exist`)
+        }
+
+        const existing = this.items[index]
+        if (String(update.SyncToken) != existing.SyncToken) {
+            throw new FaultError("5010", "Stale Object Error", `Stale Object Error : You and someone else were working on this at the same time.`)
+        }
+
+        const { sparse = true, ...fields } = update
+        const writable = Object.keys(fields).filter(field => !READ_ONLY_ITEM_FIELDS.includes(field))
+
+        let updated
+        if (sparse) {
+            updated = { ...existing }
+            writable.forEach(field => {
+                updated[field] = fields[field]
+            })
+        } else {
+            updated = READ_ONLY_ITEM_FIELDS.reduce((kept, field) => existing[field] === undefined ? kept : { ...kept, [field]: existing[field] }, {})
+            writable.forEach(field => {
+                updated[field] = fields[field]
+            })
+            updated.Active = fields.Active === undefined ? true : fields.Active
+            updated.Type = fields.Type || existing.Type
+        }
+
+        ["IncomeAccountRef", "ExpenseAccountRef", "AssetAccountRef"].forEach(ref => this.checkAccountRef(updated, ref, false))
+        this.checkParentRef(updated)
+        this.checkDuplicateName(updated)
+
+        updated.SyncToken = String(parseInt(existing.SyncToken, 10) + 1)
+        updated.FullyQualifiedName = this.fullyQualifiedName(updated)
+        this.items[index] = updated
+
+        return updated
+    }
+
+    // display names are unique among vendors, customers and employees in quickbooks, the fake only has vendors
+    createVendor(vendor) {
+        if (!vendor.DisplayName) {
+            throw new FaultError("2020", "Required param missing, need to supply the required value for the API", "Required parameter DisplayName is missing in the request")
+        }
+
+        if (this.vendors.concat(this.customers).some(({ DisplayName }) => DisplayName.toLowerCase() == vendor.DisplayName.toLowerCase())) {
+            throw new FaultError("6240", "Duplicate Name Exists Error", "The name supplied already exists.")
+        }
+
+        const created = { Active: true, ...vendor, Id: String(this.next_id++), SyncToken: "0" }
+        this.vendors.push(created)
+
+        return created
+    }
+
+    // only sparse updates, which is all the engine sends for vendors
+    updateVendor({ sparse, ...update }) {
+        const index = this.vendors.findIndex(({ Id }) => Id == update.Id)
+        if (index < 0) {
+            throw new FaultError("610", "Object Not Found", `Object Not Found : vendor ${update.Id} does not exist`)
+        }
+
+        const existing = this.vendors[index]
+        if (String(update.SyncToken) != existing.SyncToken) {
+            throw new FaultError("5010", "Stale Object Error", `Stale Object Error : You and someone else were working on this at the same time.`)
+        }
+
+        const updated = { ...existing, ...update, SyncToken: String(parseInt(existing.SyncToken, 10) + 1) }
+        this.vendors[index] = updated
+
+        return updated
+    }
+
+    createPurchaseOrder(purchase_order) {
+        if (!purchase_order.VendorRef || !this.vendors.some(({ Id }) => Id == purchase_order.VendorRef.value)) {
+            throw new FaultError("2500", "Invalid Reference Id", `Invalid Reference Id : Vendor ${purchase_order.VendorRef ? purchase_order.VendorRef.value : null} not found`)
+        }
+
+        purchase_order.Line.forEach(({ ItemBasedExpenseLineDetail: { ItemRef } }) => {
+            if (!this.items.some(({ Id }) => Id == ItemRef.value)) {
+                throw new FaultError("2500", "Invalid Reference Id", `Invalid Reference Id : Item ${ItemRef.value} not found`)
+            }
+        })
+
+        const created = {
+            ...purchase_order,
+            Id: String(this.next_id++),
+            SyncToken: "0",
+            TotalAmt: purchase_order.Line.reduce((total, { Amount }) => total + Amount, 0)
+        }
+        this.purchase_orders.push(created)
+
+        return created
+    }
+
+    checkAccountRef(item, ref, required) {
+        if (!item[ref]) {
+            if (required) {
+                throw new FaultError("2020", "Required param missing, need to supply the required value for the API", `Required parameter ${ref} is missing in the request`)
+            }
+            return
+        }
+
+        if (!this.accounts.some(({ Id }) => Id == item[ref].value)) {
+            throw new FaultError("2500", "Invalid Reference Id", `Invalid Reference Id : Accounts element id ${item[ref].value} not found`)
+        }
+    }
+
+    checkParentRef(item) {
+        if (item.ParentRef && item.ParentRef.value && !this.items.some(({ Id }) => Id == item.ParentRef.value)) {
+            throw new FaultError("2500", "Invalid Reference Id", `Invalid Reference Id : Something you're trying to use has been made inactive or deleted. Parent item ${item.ParentRef.value} not found`)
+        }
+    }
+
+    // names are unique among the items under the same parent, inactive ones included
+    checkDuplicateName(item) {
+        const parent_id = item.ParentRef && item.ParentRef.value ? item.ParentRef.value : null
+        const duplicate = this.items.find(other => other.Id != item.Id &&
+            other.Name.toLowerCase() == item.Name.toLowerCase() &&
+            (other.ParentRef && other.ParentRef.value ? other.ParentRef.value : null) == parent_id)
+
+        if (duplicate) {
+            throw new FaultError("6240", "Duplicate Name Exists Error", `The name supplied already exists. : Id=${duplicate.Id}`)
+        }
+    }
+}
+
+class FaultError extends Error {
+    constructor(code, message, detail) {
+        super(message)
+        this.fault = fault(code, message, detail)
+    }
+}
+
+const fault = (code, message, detail) => {
+    return {
+        Fault: {
+            Error: [{ Message: message, Detail: detail, code }],
+            type: "ValidationFault"
+        },
+        time: new Date().toISOString()
+    }
+}
+
+// json bodies, or the form encoded ones of the token endpoint
+const readBody = req => {
+    return new Promise((resolve, reject) => {
+        let chunks = []
+        req.on("data", chunk => chunks.push(chunk))
+        req.on("end", () => {
+            const text = Buffer.concat(chunks).toString("utf8")
+            try {
+                if ((req.headers["content-type"] || "").startsWith("application/x-www-form-urlencoded")) {
+                    return resolve(Object.fromEntries(new URLSearchParams(text)))
+                }
+
+                resolve(text ? JSON.parse(text) : null)
+            } catch (err) {
+                reject(err)
+            }
+        })
+        req.on("error", reject)
+    })
+}
+
+// parses the queries node-quickbooks builds: select * from <entity> [where <field> <=|IN> <value> [and ...]] startposition <n> maxresults <n>
+const parseQuery = sql => {
+    const match = sql.match(/^select \* from (\w+)(?: where (.*?))?(?: startposition (\d+))?(?: maxresults (\d+))?$/i)
+    if (!match) {
+        throw new FaultError("4000", "Error parsing query", `the fake can't parse: ${sql}`)
+    }
+
+    const [, entity, where, start_position, max_results] = match
+
+    return {
+        entity,
+        conditions: where ? splitConditions(where).map(parseCondition) : [],
+        start_position: start_position ? parseInt(start_position, 10) : 1,
+        max_results: max_results ? parseInt(max_results, 10) : 1000
+    }
+}
+
+// splits on " and " outside quoted values
+const splitConditions = where => {
+    let conditions = []
+    let current = ""
+    let quoted = false
+
+    for (let i = 0; i < where.length; i++) {
+        const character = where[i]
+
+        if (character == "\\" && quoted) {
+            current += character + where[i + 1]
+            i += 1
+            continue
+        }
+
+        if (character == "'") {
+            quoted = !quoted
+        }
+
+        if (!quoted && where.slice(i, i + 5).toLowerCase() == " and ") {
+            conditions.push(current)
+            current = ""
+            i += 4
+            continue
+        }
+
+        current += character
+    }
+
+    return conditions.concat(current)
+}
+
+const parseCondition = condition => {
+    const match = condition.trim().match(/^(\w+)\s+(=|IN)\s+(.*)$/i)
+    if (!match) {
+        throw new FaultError("4000", "Error parsing query", `the fake can't parse the condition: ${condition}`)
+    }
+
+    const [, field, operator, value] = match
+
+    return operator.toUpperCase() == "IN" ?
+        { field, values: value.replace(/^\(|\)$/g, "").split(",").map(parseValue) } :
+        { field, values: [parseValue(value)] }
+}
+
+const parseValue = value => {
+    const trimmed = value.trim()
+
+    if (trimmed.startsWith("'")) {
+        return trimmed.slice(1, -1).replace(/\\'/g, "'")
+    }
+
+    if (trimmed == "true" || trimmed == "false") {
+        return trimmed == "true"
+    }
+
+    return trimmed
+}
+
+const matchesCondition = (row, { field, values }) => {
+    const value = row[field] === undefined ? (field == "Active" ? true : null) : row[field]
+    return values.some(expected => typeof expected == "string" ? String(value).toLowerCase() == expected.toLowerCase() : value === expected)
+}
+
+module.exports = {
+    FakeQuickBooksServer,
+    DEFAULT_ACCOUNTS
+}
\ No newline at end of file
@@ -0,0 +1,345 @@
+const http = require("http")
+
+// an in-process stand-in for the shopify admin graphql api, answering the engine's operations by name.
+// variants are fixtures in the shape of the productVariants nodes, served in pages of the requested size or as the jsonl
+// result of a bulk operation, which completes on the second poll, or fails with bulk_error_code when it is set.
+// orders are fixtures in the shape of the orders nodes, all of them are served whatever the search query.
+// failures answer the next requests in turn before they are handled: { status } with an optional retry_after header,
+// or { throttled: true } for a THROTTLED error with the query cost budget spent
+class FakeShopifyServer {
+    constructor({ variants = [], orders = [], shop_currency = "USD", access_token = "test-admin-api-password", bulk_error_code = null } = {}) {
+        this.variants = variants
+        this.orders = orders
+        this.shop_currency = shop_currency
+        this.access_token = access_token
+        this.bulk_error_code = bulk_error_code
+        this.requests = []
+        this.bulk_operations = []
+        this.failures = []
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res))
+    }
+
+    // resolves with the admin api url to give ShopifyEngine
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${this.server.address().port}/admin/api/2020-07/graphql.json`))
+        })
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()))
+    }
+
+    engineConfig(admin_api_url) {
+        return {
+            shop: "test-shop",
+            admin_api_password: this.access_token,
+            storefront_api_access_token: "test-storefront-access-token",
+            admin_api_url,
+            storefront_api_url: admin_api_url
+        }
+    }
+
+    async handleRequest(req, res) {
+        // bulk operation results are downloaded from a signed url, without the access token
+        if (req.method == "GET" && req.url.startsWith("/bulk/")) {
+            const operation = this.bulk_operations.find(({ id }) => req.url == `/bulk/${encodeURIComponent(id)}.jsonl`)
+            res.writeHead(operation ? 200 : 404, { "Content-Type": "application/jsonl" })
+            return res.end(operation ? operation.result : "")
+        }
+
+        const body = await readJSON(req)
+        this.requests.push(body)
+
+        const respond = (status, payload) => {
+            res.writeHead(status, { "Content-Type": "application/json" })
+            res.end(JSON.stringify(payload))
+        }
+
+        if (req.headers["x-shopify-access-token"] != this.access_token) {
+            return respond(401, { errors: "[API] Invalid API key or access token (unrecognized login or wrong password)" })
+        }
+
+        const failure = this.failures.shift()
+        if (failure && failure.throttled) {
+            return respond(200, {
+                errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+                extensions: {
+                    cost: {
+                        requestedQueryCost: 1,
+                        actualQueryCost: null,
+                        throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 0, restoreRate: 1000 }
+                    }
+                }
+            })
+        }
+
+        if (failure) {
+            res.writeHead(failure.status, { "Content-Type": "application/json", ...(failure.retry_after !== undefined ? { "Retry-After": failure.retry_after } : {}) })
+            return res.end(JSON.stringify({ errors: `status ${failure.status}` }))
+        }
+
+        const operations = {
+            getProductVariants: variables => this.productVariants(variables),
+            getShopCurrency: () => ({ shop: this.shop() }),
+            getInventoryItemCosts: ({ ids }) => ({ nodes: ids.map(id => this.inventoryItem(id)) }),
+            getInventoryLevels: ({ id, cursor }) => ({ inventoryItem: this.inventoryItemLevels(id, cursor) }),
+            getOrders: variables => ({ orders: this.ordersPage(variables) }),
+            updateProductVariantPrice: ({ input }) => this.updateProductVariantPrice(input),
+            updateInventoryItemCost: ({ id, input }) => this.updateInventoryItemCost(id, input),
+            runBulkQuery: ({ query }) => this.runBulkQuery(query, `http://${req.headers.host}`),
+            getCurrentBulkOperation: () => ({ currentBulkOperation: this.currentBulkOperation() })
+        }
+
+        const operation = operations[body.operationName]
+        if (!operation) {
+            return respond(200, { errors: [{ message: `the fake does not answer ${body.operationName}` }] })
+        }
+
+        respond(200, {
+            data: operation(body.variables || {}),
+            extensions: {
+                cost: {
+                    requestedQueryCost: 1,
+                    actualQueryCost: 1,
+                    throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 999, restoreRate: 50 }
+                }
+            }
+        })
+    }
+
+    shop() {
+        return { __typename: "Shop", currencyCode: this.shop_currency }
+    }
+
+    productVariants({ cursor = null, first = 100, include_inventory_levels = false, include_collections = false }) {
+        const start = cursor ? parseInt(cursor, 10) + 1 : 0
+        const page = this.variants.slice(start, start + first)
+
+        return {
+            shop: this.shop(),
+            productVariants: {
+                __typename: "ProductVariantConnection",
+                pageInfo: { __typename: "PageInfo", hasNextPage: start + first < this.variants.length },
+                edges: page.map((variant, i) => ({
+                    __typename: "ProductVariantEdge",
+                    cursor: String(start + i),
+                    node: variantNode(variant, { include_inventory_levels, include_collections })
+                }))
+            }
+        }
+    }
+
+    ordersPage({ cursor = null }) {
+        const start = cursor ? parseInt(cursor, 10) + 1 : 0
+        const page = this.orders.slice(start, start + 5)
+
+        return {
+            __typename: "OrderConnection",
+            pageInfo: { __typename: "PageInfo", hasNextPage: start + 5 < this.orders.length },
+            edges: page.map((order, i) => ({ __typename: "OrderEdge", cursor: String(start + i), node: { __typename: "Order", ...order } }))
+        }
+    }
+
+    // the result is written when the operation starts, from the variants at that time
+    runBulkQuery(query, origin) {
+        const id = `gid://shopify/BulkOperation/${this.bulk_operations.length + 1}`
+        const lines = query.includes("locations") ? this.bulkLocationLines() : this.bulkProductLines(query.includes("collections"))
+
+        this.bulk_operations.push({
+            id,
+            polls: 0,
+            object_count: lines.length,
+            result: lines.map(line => JSON.stringify(line)).join("\n") + (lines.length > 0 ? "\n" : ""),
+            url: lines.length > 0 ? `${origin}/bulk/${encodeURIComponent(id)}.jsonl` : null
+        })
+
+        return {
+            bulkOperationRunQuery: {
+                __typename: "BulkOperationRunQueryPayload",
+                bulkOperation: { __typename: "BulkOperation", id, status: "CREATED" },
+                userErrors: []
+            }
+        }
+    }
+
+    currentBulkOperation() {
+        const operation = this.bulk_operations[this.bulk_operations.length - 1]
+        if (!operation) {
+            return null
+        }
+
+        operation.polls += 1
+
+        const status = operation.polls < 2 ? "RUNNING" : this.bulk_error_code ? "FAILED" : "COMPLETED"
+
+        return {
+            __typename: "BulkOperation",
+            id: operation.id,
+            status,
+            errorCode: status == "FAILED" ? this.bulk_error_code : null,
+            objectCount: String(status == "COMPLETED" ? operation.object_count : 0),
+            url: status == "COMPLETED" ? operation.url : null
+        }
+    }
+
+    // each product is followed by its variants and collections, which point back to it with __parentId
+    bulkProductLines(include_collections) {
+        let products = []
+
+        this.variants.forEach(variant => {
+            let product = products.find(({ id }) => id == variant.product.id)
+            if (!product) {
+                product = { ...variant.product, variants: [] }
+                products.push(product)
+            }
+            product.variants.push(variant)
+        })
+
+        return products.reduce((lines, { id, title, vendor, productType, tags = [], collections = [], variants }) => lines.concat(
+            { id, title, vendor, productType, tags },
+            variants.map(variant => ({
+                id: variant.id,
+                sku: variant.sku,
+                barcode: variant.barcode,
+                selectedOptions: variant.selectedOptions || [],
+                price: variant.price,
+                inventoryQuantity: variant.inventoryQuantity,
+                inventoryItem: { id: variant.inventoryItem.id, unitCost: variant.inventoryItem.unitCost },
+                taxable: variant.taxable,
+                __parentId: id
+            })),
+            include_collections ? collections.map(collection => ({ ...collection, __parentId: id })) : []
+        ), [])
+    }
+
+    bulkLocationLines() {
+        let locations = {}
+
+        this.variants.forEach(({ inventoryItem }) => {
+            (inventoryItem.inventoryLevels || []).forEach(({ available, location }) => {
+                locations[location.id] = locations[location.id] || { ...location, levels: [] }
+                locations[location.id].levels.push({ available, item: { id: inventoryItem.id }, __parentId: location.id })
+            })
+        })
+
+        return Object.values(locations).reduce((lines, { id, name, levels }) => lines.concat({ id, name }, levels), [])
+    }
+
+    inventoryItem(id) {
+        const variant = this.variants.find(({ inventoryItem }) => inventoryItem.id == id)
+        return variant ? { __typename: "InventoryItem", id, unitCost: money(variant.inventoryItem.unitCost) } : null
+    }
+
+    // the levels after the cursor, in pages of 50
+    inventoryItemLevels(id, cursor) {
+        const variant = this.variants.find(({ inventoryItem }) => inventoryItem.id == id)
+        if (!variant) {
+            return null
+        }
+
+        return { __typename: "InventoryItem", id, inventoryLevels: inventoryLevelConnection(variant.inventoryItem.inventoryLevels || [], cursor ? parseInt(cursor, 10) + 1 : 0, 50) }
+    }
+
+    updateProductVariantPrice({ id, price }) {
+        const variant = this.variants.find(variant => variant.id == id)
+        if (variant) {
+            variant.price = price
+        }
+
+        return {
+            productVariantUpdate: {
+                __typename: "ProductVariantUpdatePayload",
+                productVariant: variant ? { __typename: "ProductVariant", id, price } : null,
+                userErrors: variant ? [] : [{ __typename: "UserError", field: ["id"], message: "Product variant does not exist" }]
+            }
+        }
+    }
+
+    updateInventoryItemCost(id, { cost }) {
+        const variant = this.variants.find(({ inventoryItem }) => inventoryItem.id == id)
+        if (variant) {
+            variant.inventoryItem.unitCost = cost === null ? null : { amount: cost, currencyCode: this.shop_currency }
+        }
+
+        return {
+            inventoryItemUpdate: {
+                __typename: "InventoryItemUpdatePayload",
+                inventoryItem: variant ? { __typename: "InventoryItem", id, unitCost: money(variant.inventoryItem.unitCost) } : null,
+                userErrors: variant ? [] : [{ __typename: "UserError", field: ["id"], message: "Inventory item does not exist" }]
+            }
+        }
+    }
+}
+
+const money = unit_cost => {
+    return unit_cost ? { __typename: "MoneyV2", amount: unit_cost.amount, currencyCode: unit_cost.currencyCode } : null
+}
+
+const variantNode = (variant, { include_inventory_levels, include_collections }) => {
+    const { product, inventoryItem } = variant
+
+    return {
+        __typename: "ProductVariant",
+        id: variant.id,
+        sku: variant.sku,
+        barcode: variant.barcode,
+        price: variant.price,
+        inventoryQuantity: variant.inventoryQuantity,
+        taxable: variant.taxable,
+        selectedOptions: (variant.selectedOptions || []).map(({ value }) => ({ __typename: "SelectedOption", value })),
+        product: {
+            __typename: "Product",
+            id: product.id,
+            title: product.title,
+            vendor: product.vendor,
+            productType: product.productType,
+            tags: product.tags || [],
+            ...(include_collections ? {
+                collections: {
+                    __typename: "CollectionConnection",
+                    edges: (product.collections || []).map(({ title, handle }) => ({ __typename: "CollectionEdge", node: { __typename: "Collection", title, handle } }))
+                }
+            } : {})
+        },
+        inventoryItem: {
+            __typename: "InventoryItem",
+            id: inventoryItem.id,
+            unitCost: money(inventoryItem.unitCost),
+            // the variants query reads the first 10 levels of each item
+            ...(include_inventory_levels ? { inventoryLevels: inventoryLevelConnection(inventoryItem.inventoryLevels || [], 0, 10) } : {})
+        }
+    }
+}
+
+const inventoryLevelConnection = (inventory_levels, start, first) => {
+    return {
+        __typename: "InventoryLevelConnection",
+        pageInfo: { __typename: "PageInfo", hasNextPage: start + first < inventory_levels.length },
+        edges: inventory_levels.slice(start, start + first).map(({ available, location }, i) => ({
+            __typename: "InventoryLevelEdge",
+            cursor: String(start + i),
+            node: { __typename: "InventoryLevel", available, location: { __typename: "Location", ...location } }
+        }))
+    }
+}
+
+const readJSON = req => {
+    return new Promise((resolve, reject) => {
+        let chunks = []
+        req.on("data", chunk => chunks.push(chunk))
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"))
+            } catch (err) {
+                reject(err)
+            }
+        })
+        req.on("error", reject)
+    })
+}
+
+module.exports = {
+    FakeShopifyServer
+}
\ No newline at end of file
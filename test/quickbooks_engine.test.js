@@ -0,0 +1,496 @@
+const { test, beforeEach, afterEach } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const QuickBooks = require("node-quickbooks")
+
+const { QuickBooksEngine, AccountMappingError, TaxMappingError } = require("../quickbooks_engine")
+const { MemoryAuditLog } = require("../audit_log")
+const { FileTokenStore, CallbackTokenStore } = require("../token_store")
+const { RequestScheduler } = require("../request_scheduler")
+const { FakeQuickBooksServer, DEFAULT_ACCOUNTS } = require("./mocks/quickbooks_server")
+
+const product = (overrides = {}) => ({
+    name: "Acme Classic Tee Black M",
+    vendor: "Acme",
+    product_type: "Apparel",
+    category_path: null,
+    sku: "TEE-BLK-M",
+    description: "Acme Classic Tee Black M, barcode: 0000000000101",
+    unit_price: 25,
+    purchase_cost: 8.5,
+    quantity: 12,
+    taxable: true,
+    ...overrides
+})
+
+let server
+let base_url
+
+const createEngine = (options = {}) => {
+    return new QuickBooksEngine({ ...server.engineConfig(base_url), ...options })
+}
+
+beforeEach(async () => {
+    server = new FakeQuickBooksServer({
+        accounts: DEFAULT_ACCOUNTS.concat({ Id: "6", Name: "Apparel Sales", AccountType: "Income", AccountSubType: "SalesOfProductIncome", Active: true })
+    })
+    base_url = await server.listen()
+})
+
+afterEach(async () => {
+    await server.close()
+})
+
+test("creates an item with the mapped accounts", async () => {
+    const result = await createEngine().syncProduct(product())
+
+    assert.strictEqual(result.action, "created")
+
+    const item = server.findItem({ Sku: "TEE-BLK-M" })
+    assert.strictEqual(item.Name, "Acme Classic Tee Black M")
+    assert.strictEqual(item.Type, "Inventory")
+    assert.strictEqual(item.UnitPrice, 25)
+    assert.deepStrictEqual(item.IncomeAccountRef, { value: "1", name: "Sales of Product Income" })
+    assert.deepStrictEqual(item.ExpenseAccountRef, { value: "2", name: "Cost of Goods Sold" })
+    assert.deepStrictEqual(item.AssetAccountRef, { value: "3", name: "Inventory Asset" })
+})
+
+test("product type account overrides take precedence over the defaults", async () => {
+    const engine = createEngine({ account_mapping: { overrides: { product_type: { Apparel: { income: "Apparel Sales" } } } } })
+    await engine.syncProduct(product())
+
+    const item = server.findItem({ Sku: "TEE-BLK-M" })
+    assert.deepStrictEqual(item.IncomeAccountRef, { value: "6", name: "Apparel Sales" })
+    assert.deepStrictEqual(item.ExpenseAccountRef, { value: "2", name: "Cost of Goods Sold" })
+})
+
+test("a missing account fails the mapping before any item is created", async () => {
+    const engine = createEngine({ account_mapping: { income: "Missing Income" } })
+
+    await assert.rejects(engine.syncProduct(product()), AccountMappingError)
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M" }), null)
+})
+
+test("creates nested categories once and files the item under the last one", async () => {
+    const engine = createEngine()
+    await engine.syncProduct(product({ category_path: ["Apparel", "Tees"] }))
+    await engine.syncProduct(product({ name: "Acme Classic Tee Black L", sku: "TEE-BLK-L", category_path: ["Apparel", "Tees"] }))
+
+    const categories = server.items.filter(({ Type }) => Type == "Category")
+    assert.deepStrictEqual(categories.map(({ FullyQualifiedName }) => FullyQualifiedName), ["Apparel", "Apparel:Tees"])
+
+    const tees = server.findItem({ FullyQualifiedName: "Apparel:Tees" })
+    const item = server.findItem({ Sku: "TEE-BLK-L" })
+    assert.strictEqual(item.ParentRef.value, tees.Id)
+    assert.strictEqual(item.FullyQualifiedName, "Apparel:Tees:Acme Classic Tee Black L")
+})
+
+test("an item whose name is taken by another sku is created after the other item yields the name", async () => {
+    const other = server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "OLD-SKU", Type: "Inventory", UnitPrice: 20, QtyOnHand: 0, TrackQtyOnHand: true })
+
+    const result = await createEngine().syncProduct(product())
+
+    assert.strictEqual(result.action, "created")
+    assert.deepStrictEqual(result.changes.map(({ type }) => type), ["yield_name", "create"])
+
+    const yielded = server.findItem({ Id: other.Id })
+    assert.strictEqual(yielded.Name, "_OLD-SKU")
+    assert.strictEqual(yielded.Active, false)
+    assert.strictEqual(yielded.SyncToken, "1")
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M" }).Name, "Acme Classic Tee Black M")
+})
+
+test("a name taken by another store's item is reported rather than yielded", async () => {
+    server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "B-TEE", Type: "Inventory" })
+
+    const owns = item => !item.Sku.startsWith("B-")
+    await assert.rejects(createEngine().syncProduct(product(), { owns }), /belongs to another store/)
+    assert.strictEqual(server.findItem({ Sku: "B-TEE" }).Active, true)
+})
+
+test("reactivates an inactive item with the same sku", async () => {
+    const inactive = server.insertItem({ ...quickBooksItem(), Name: "_TEE-BLK-M", Active: false })
+
+    const result = await createEngine().syncProduct(product())
+
+    assert.strictEqual(result.action, "updated")
+    assert.strictEqual(result.item.Id, inactive.Id)
+
+    const item = server.findItem({ Id: inactive.Id })
+    assert.strictEqual(item.Active, true)
+    assert.strictEqual(item.Name, "Acme Classic Tee Black M")
+    assert.strictEqual(server.items.filter(({ Sku }) => Sku == "TEE-BLK-M").length, 1)
+})
+
+test("an active item is preferred over an inactive one with the same sku", async () => {
+    const inactive = server.insertItem({ ...quickBooksItem(), Name: "_TEE-BLK-M", Active: false })
+    const active = server.insertItem(quickBooksItem())
+    const engine = createEngine()
+
+    assert.strictEqual((await engine.findProductBySKU("TEE-BLK-M")).Id, active.Id)
+    assert.strictEqual((await engine.findProductByName("_TEE-BLK-M")).Id, inactive.Id)
+})
+
+test("a name held by an inactive item of another sku is yielded too", async () => {
+    const other = server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "OLD-SKU", Type: "Inventory", Active: false })
+
+    const result = await createEngine().syncProduct(product())
+
+    assert.strictEqual(result.action, "created")
+    assert.strictEqual(server.findItem({ Id: other.Id }).Name, "_OLD-SKU")
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M" }).Name, "Acme Classic Tee Black M")
+})
+
+test("updates a changed item with a full update that keeps its accounts", async () => {
+    const existing = server.insertItem(quickBooksItem())
+
+    const result = await createEngine().syncProduct(product({ unit_price: 30 }))
+
+    assert.strictEqual(result.action, "updated")
+    assert.deepStrictEqual(result.changes[0].diff, [{ field: "UnitPrice", old: 25, new: 30 }])
+
+    const item = server.findItem({ Id: existing.Id })
+    assert.strictEqual(item.UnitPrice, 30)
+    assert.strictEqual(item.SyncToken, "1")
+    assert.deepStrictEqual(item.IncomeAccountRef, { value: "1", name: "Sales of Product Income" })
+    assert.strictEqual(server.requests.filter(({ body }) => body && body.sparse === false).length, 1)
+})
+
+test("leaves an unchanged item alone", async () => {
+    server.insertItem(quickBooksItem())
+
+    const result = await createEngine().syncProduct(product())
+
+    assert.strictEqual(result.action, "unchanged")
+    assert.strictEqual(server.requests.filter(({ method }) => method == "POST").length, 0)
+})
+
+test("a dry run reports the changes without writing", async () => {
+    server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "OLD-SKU", Type: "Inventory" })
+
+    const result = await createEngine().syncProduct(product({ category_path: ["Apparel"] }), { dry_run: true })
+
+    assert.strictEqual(result.action, "created")
+    assert.deepStrictEqual(result.changes.map(({ type }) => type), ["create_category", "yield_name", "create"])
+    assert.strictEqual(server.requests.filter(({ method }) => method == "POST").length, 0)
+})
+
+test("a refresh exchanges the rotated refresh token saved in the token store rather than the configured one", async () => {
+    const token_url = QuickBooks.TOKEN_URL
+    QuickBooks.TOKEN_URL = server.tokenURL()
+
+    try {
+        // an earlier process rotated the configured refresh token and saved the new one
+        const config = server.engineConfig(base_url)
+        server.refresh_token = "rotated-refresh-token"
+        let saved = { access_token: config.access_token, refresh_token: "rotated-refresh-token" }
+        const token_store = new CallbackTokenStore({ load: async () => saved, save: async tokens => { saved = tokens } })
+
+        const tokens = await new QuickBooksEngine({ ...config, token_store }).refreshAccessToken()
+
+        assert.strictEqual(tokens.refresh_token, "test-refresh-token-1")
+        assert.deepStrictEqual(saved, { ...tokens, expires_in: 3600, x_refresh_token_expires_in: 8726400 })
+    } finally {
+        QuickBooks.TOKEN_URL = token_url
+    }
+})
+
+test("an expired access token is refreshed and the rotated tokens are used by the next process", async () => {
+    const token_url = QuickBooks.TOKEN_URL
+    QuickBooks.TOKEN_URL = server.tokenURL()
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "token-store-"))
+
+    try {
+        const config = server.engineConfig(base_url)
+        const token_store = new FileTokenStore({ path: path.join(dir, "tokens.json") })
+
+        // the configured access token expired, the refresh token still works
+        server.access_token = "expired"
+        assert.strictEqual(await new QuickBooksEngine({ ...config, token_store }).getHomeCurrency(), "USD")
+        assert.strictEqual((await token_store.load()).refresh_token, "test-refresh-token-1")
+
+        // the configured tokens are both used up by now, the next process goes by the saved ones
+        assert.strictEqual(await new QuickBooksEngine({ ...config, token_store }).getHomeCurrency(), "USD")
+        assert.strictEqual(server.token_refreshes, 1)
+    } finally {
+        QuickBooks.TOKEN_URL = token_url
+        await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+})
+
+test("calls that fail on the same expired access token share one refresh and are retried", async () => {
+    const token_url = QuickBooks.TOKEN_URL
+    QuickBooks.TOKEN_URL = server.tokenURL()
+
+    try {
+        let saved = []
+        const token_store = new CallbackTokenStore({ save: async tokens => { saved.push(tokens) } })
+        const engine = new QuickBooksEngine({ ...server.engineConfig(base_url), token_store })
+
+        server.access_token = "expired"
+        const currencies = await Promise.all([engine.getHomeCurrency(), engine.getHomeCurrency(), engine.getHomeCurrency()])
+
+        assert.deepStrictEqual(currencies, ["USD", "USD", "USD"])
+        assert.strictEqual(server.token_refreshes, 1)
+        assert.deepStrictEqual(saved.map(({ access_token, refresh_token }) => [access_token, refresh_token]), [["test-access-token-1", "test-refresh-token-1"]])
+    } finally {
+        QuickBooks.TOKEN_URL = token_url
+    }
+})
+
+test("reads are retried through throttling and server errors, writes through throttling only", async () => {
+    const engine = createEngine({ scheduler: new RequestScheduler({ base_delay: 1 }) })
+
+    server.failures = [429, 503]
+    assert.strictEqual(await engine.getHomeCurrency(), "USD")
+    assert.strictEqual(server.requests.length, 3)
+
+    // the write may have gone through before the server failed
+    server.failures = [503]
+    await assert.rejects(engine.createProduct(quickBooksItem()), ({ Fault }) => Fault.type == "SystemFault")
+
+    server.failures = [429]
+    await engine.createProduct(quickBooksItem())
+    assert.strictEqual(server.items.filter(({ Sku }) => Sku == "TEE-BLK-M").length, 1)
+})
+
+test("reads the home currency from the company preferences", async () => {
+    server.home_currency = "CAD"
+
+    assert.strictEqual(await createEngine().getHomeCurrency(), "CAD")
+})
+
+test("the batch mode looks items up in one query and sends the writes of concurrent syncs in one batch", async () => {
+    server.insertItem({ ...quickBooksItem(), Name: "_TEE-BLK-M", Active: false })
+
+    // as a run does, so that the creates don't wait on the account lookups
+    const engine = createEngine({ batch: true })
+    await engine.resolveAccounts()
+
+    const results = await Promise.all([
+        engine.syncProduct(product()),
+        engine.syncProduct(product({ name: "Acme Classic Tee Black L", sku: "TEE-BLK-L" })),
+        engine.syncProduct(product({ name: "Acme Logo Mug", sku: "MUG-WHT", product_type: "Kitchen" }))
+    ])
+
+    assert.deepStrictEqual(results.map(({ action }) => action), ["updated", "created", "created"])
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M" }).Active, true)
+
+    const item_queries = server.requests.filter(({ query }) => query && /from item/i.test(query))
+    assert.strictEqual(item_queries.length, 1)
+    assert.deepStrictEqual(server.requests.filter(({ method }) => method == "POST").map(({ path, body }) => [path.split("/").pop(), body.BatchItemRequest.length]), [["batch", 3]])
+})
+
+test("the batch mode reports a failed operation against its own item only", async () => {
+    const engine = createEngine({ batch: true })
+
+    // both names are free when they are looked up, so the second create in the batch collides with the first
+    const [created, failed] = await Promise.allSettled([
+        engine.syncProduct(product()),
+        engine.syncProduct(product({ sku: "TEE-BLK-M2" }))
+    ])
+
+    assert.strictEqual(created.status, "fulfilled")
+    assert.strictEqual(created.value.item.Sku, "TEE-BLK-M")
+    assert.strictEqual(failed.status, "rejected")
+    assert.strictEqual(failed.reason.Fault.Error[0].code, "6240")
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M2" }), null)
+})
+
+test("the batch mode index follows the engine's own writes", async () => {
+    const engine = createEngine({ batch: true })
+
+    await engine.syncProduct(product({ category_path: ["Apparel", "Tees"] }))
+    const result = await engine.syncProduct(product({ unit_price: 30, category_path: ["Apparel", "Tees"] }))
+
+    assert.strictEqual(result.action, "updated")
+    assert.deepStrictEqual(result.changes.map(({ type }) => type), ["update"])
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M" }).UnitPrice, 30)
+    assert.strictEqual(server.requests.filter(({ query }) => query && /from item/i.test(query)).length, 1)
+})
+
+test("logs every write with its reason and the item as it was before", async () => {
+    const other = server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "OLD-SKU", Type: "Inventory", UnitPrice: 20, QtyOnHand: 0, TrackQtyOnHand: true })
+    const audit_log = new MemoryAuditLog()
+
+    await createEngine({ audit_log }).syncProduct(product({ category_path: ["Apparel"] }), { run_id: "run-1" })
+
+    const entries = await audit_log.findByRunId("run-1")
+    assert.deepStrictEqual(entries.map(({ operation, reason, type }) => [operation, reason, type]), [
+        ["create", "new category", "Category"],
+        ["update", "name collision yield", "Inventory"],
+        ["create", "new product", "Inventory"]
+    ])
+    assert.deepStrictEqual(entries[1].before, other)
+    assert.strictEqual(entries[1].after.SyncToken, "1")
+    assert.strictEqual(entries[2].before, null)
+    assert.strictEqual(entries[2].sku, "TEE-BLK-M")
+})
+
+test("rolling back a run restores the items it updated and deactivates the ones it created", async () => {
+    const other = server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "OLD-SKU", Type: "Inventory", UnitPrice: 20, QtyOnHand: 0, TrackQtyOnHand: true })
+    const existing = server.insertItem({ ...quickBooksItem(), Name: "Acme Classic Tee Black L", Sku: "TEE-BLK-L" })
+    const engine = createEngine({ audit_log: new MemoryAuditLog() })
+
+    await engine.syncProduct(product(), { run_id: "run-1" })
+    await engine.syncProduct(product({ name: "Acme Classic Tee Black L", sku: "TEE-BLK-L", unit_price: 30 }), { run_id: "run-1" })
+
+    const writes = await engine.findRunWrites("run-1")
+    let results = []
+    for (const item_writes of writes) {
+        results.push(await engine.rollbackItem(item_writes, { run_id: "rollback-1" }))
+    }
+
+    assert.deepStrictEqual(results.map(({ sku, action }) => [sku, action]), [["TEE-BLK-M", "deactivated"], ["TEE-BLK-L", "updated"], ["OLD-SKU", "updated"]])
+
+    const created = server.findItem({ Sku: "TEE-BLK-M" })
+    assert.strictEqual(created.Name, "_TEE-BLK-M")
+    assert.strictEqual(created.Active, false)
+    assert.strictEqual(server.findItem({ Id: existing.Id }).UnitPrice, 25)
+
+    const restored = server.findItem({ Id: other.Id })
+    assert.strictEqual(restored.Name, "Acme Classic Tee Black M")
+    assert.strictEqual(restored.Active, true)
+})
+
+test("rolling back skips an item changed since the run unless forced", async () => {
+    const existing = server.insertItem(quickBooksItem())
+    const engine = createEngine({ audit_log: new MemoryAuditLog() })
+
+    await engine.syncProduct(product({ unit_price: 30 }), { run_id: "run-1" })
+    await engine.updateProduct({ Id: existing.Id, SyncToken: "1", UnitPrice: 35 })
+
+    const [writes] = await engine.findRunWrites("run-1")
+    const skipped = await engine.rollbackItem(writes)
+
+    assert.strictEqual(skipped.action, "skipped")
+    assert.match(skipped.conflict, /SyncToken is 2 rather than 1/)
+    assert.strictEqual(server.findItem({ Id: existing.Id }).UnitPrice, 35)
+
+    const forced = await engine.rollbackItem(writes, { force: true })
+
+    assert.strictEqual(forced.action, "updated")
+    assert.strictEqual(server.findItem({ Id: existing.Id }).UnitPrice, 25)
+})
+
+test("with vendors, items get the vendor of their shopify product as their preferred vendor, created once", async () => {
+    const engine = createEngine({ vendors: true })
+
+    const [created, other] = await Promise.all([
+        engine.syncProduct(product()),
+        engine.syncProduct(product({ name: "Acme Classic Tee Black L", sku: "TEE-BLK-L" }))
+    ])
+
+    assert.deepStrictEqual(created.changes.map(({ type }) => type), ["create_vendor", "create"])
+    assert.strictEqual(server.vendors.length, 1)
+
+    const [vendor] = server.vendors
+    assert.strictEqual(vendor.DisplayName, "Acme")
+    assert.deepStrictEqual(server.findItem({ Sku: "TEE-BLK-M" }).PrefVendorRef, { value: vendor.Id, name: "Acme" })
+    assert.deepStrictEqual(server.findItem({ Sku: "TEE-BLK-L" }).PrefVendorRef, { value: vendor.Id, name: "Acme" })
+    assert.strictEqual(other.action, "created")
+})
+
+test("with vendors, an existing item is given the preferred vendor found by name", async () => {
+    server.vendors.push({ Id: "70", DisplayName: "Acme", Active: true, SyncToken: "0" })
+    const existing = server.insertItem(quickBooksItem())
+
+    const result = await createEngine({ vendors: true }).syncProduct(product())
+
+    assert.strictEqual(result.action, "updated")
+    assert.deepStrictEqual(result.changes.map(({ diff }) => diff), [[{ field: "PrefVendorRef", old: null, new: { value: "70", name: "Acme" } }]])
+    assert.deepStrictEqual(server.findItem({ Id: existing.Id }).PrefVendorRef, { value: "70", name: "Acme" })
+    assert.strictEqual(server.vendors.length, 1)
+})
+
+test("with vendors, a vendor is looked up once and an inactive one is reactivated rather than created", async () => {
+    server.vendors.push({ Id: "70", DisplayName: "Acme", Active: false, SyncToken: "0" })
+    const engine = createEngine({ vendors: true })
+
+    const created = await engine.syncProduct(product())
+    const other = await engine.syncProduct(product({ name: "Acme Classic Tee Black L", sku: "TEE-BLK-L" }))
+
+    assert.deepStrictEqual(created.changes.map(({ type }) => type), ["reactivate_vendor", "create"])
+    assert.deepStrictEqual(other.changes.map(({ type }) => type), ["create"])
+    assert.deepStrictEqual(server.vendors.map(({ Id, Active }) => [Id, Active]), [["70", true]])
+    assert.deepStrictEqual(server.findItem({ Sku: "TEE-BLK-L" }).PrefVendorRef, { value: "70", name: "Acme" })
+    assert.strictEqual(server.requests.filter(({ query }) => query && /from vendor/i.test(query)).length, 1)
+})
+
+test("with vendors, a vendor name taken by a customer is reported as such", async () => {
+    server.customers.push({ Id: "80", DisplayName: "Acme" })
+
+    await assert.rejects(createEngine({ vendors: true }).syncProduct(product()), /duplicate vendor name: Acme; a quickbooks customer or employee has that display name/)
+    assert.strictEqual(server.vendors.length, 0)
+})
+
+test("a changed tax status is synced", async () => {
+    const existing = server.insertItem(quickBooksItem())
+
+    const result = await createEngine().syncProduct(product({ taxable: false }))
+
+    assert.strictEqual(result.action, "updated")
+    assert.deepStrictEqual(result.changes[0].diff, [{ field: "Taxable", old: true, new: false }])
+    assert.strictEqual(server.findItem({ Id: existing.Id }).Taxable, false)
+})
+
+const TAX_MAPPING = {
+    taxable: { sales: "GST", purchase: "GST" },
+    non_taxable: { sales: "Exempt", purchase: { id: "11" } },
+    overrides: { product_type: { Books: { sales: "Zero-rated" } } }
+}
+
+test("with a tax mapping, items get the tax codes of their tax status and product type", async () => {
+    server.tax_codes = [{ Id: "10", Name: "GST" }, { Id: "11", Name: "Exempt" }, { Id: "12", Name: "Zero-rated" }]
+    const engine = createEngine({ tax_mapping: TAX_MAPPING })
+
+    await engine.syncProduct(product())
+    await engine.syncProduct(product({ name: "Acme Field Guide", sku: "BOOK-1", product_type: "Books" }))
+
+    const item = server.findItem({ Sku: "TEE-BLK-M" })
+    assert.deepStrictEqual(item.SalesTaxCodeRef, { value: "10", name: "GST" })
+    assert.deepStrictEqual(item.PurchaseTaxCodeRef, { value: "10", name: "GST" })
+    assert.strictEqual(item.Taxable, undefined)
+
+    const book = server.findItem({ Sku: "BOOK-1" })
+    assert.deepStrictEqual(book.SalesTaxCodeRef, { value: "12", name: "Zero-rated" })
+    assert.deepStrictEqual(book.PurchaseTaxCodeRef, { value: "10", name: "GST" })
+
+    const result = await engine.syncProduct(product({ taxable: false }))
+
+    assert.strictEqual(result.action, "updated")
+    assert.deepStrictEqual(result.changes[0].diff.map(({ field, new: value }) => [field, value.name]), [["SalesTaxCodeRef", "Exempt"], ["PurchaseTaxCodeRef", "Exempt"]])
+    assert.strictEqual(server.requests.filter(({ query }) => query && /from taxcode/i.test(query)).length, 1)
+})
+
+test("a tax code missing from the company fails the mapping before any item is created", async () => {
+    server.tax_codes = [{ Id: "10", Name: "GST" }]
+    const engine = createEngine({ tax_mapping: TAX_MAPPING })
+
+    await assert.rejects(engine.syncProduct(product()), error => {
+        assert.ok(error instanceof TaxMappingError)
+        assert.deepStrictEqual(error.missing.map(({ scope, role }) => `${scope} ${role}`), ["non_taxable sales", "non_taxable purchase", "product_type Books sales"])
+        return true
+    })
+    assert.strictEqual(server.findItem({ Sku: "TEE-BLK-M" }), null)
+})
+
+// the item as the engine would have created it from product()
+const quickBooksItem = () => ({
+    Name: "Acme Classic Tee Black M",
+    Sku: "TEE-BLK-M",
+    Type: "Inventory",
+    Description: "Acme Classic Tee Black M, barcode: 0000000000101",
+    PurchaseDesc: "Acme Classic Tee Black M, barcode: 0000000000101",
+    UnitPrice: 25,
+    PurchaseCost: 8.5,
+    Taxable: true,
+    TrackQtyOnHand: true,
+    QtyOnHand: 0,
+    InvStartDate: "2020-01-01",
+    IncomeAccountRef: { value: "1", name: "Sales of Product Income" },
+    ExpenseAccountRef: { value: "2", name: "Cost of Goods Sold" },
+    AssetAccountRef: { value: "3", name: "Inventory Asset" }
+})
\ No newline at end of file
@@ -0,0 +1,265 @@
+const { test, beforeEach, afterEach } = require("node:test")
+const assert = require("node:assert")
+
+const { ShopifyEngine, parseProduct, validateProductVariants } = require("../shopify_engine")
+const { RequestScheduler } = require("../request_scheduler")
+const { FakeShopifyServer } = require("./mocks/shopify_server")
+const fixtures = require("./fixtures/product_variants.json")
+
+let server
+let admin_api_url
+
+// each test gets its own copy of the fixtures, the mutations change them in place
+beforeEach(async () => {
+    server = new FakeShopifyServer({ variants: JSON.parse(JSON.stringify(fixtures)), shop_currency: "USD" })
+    admin_api_url = await server.listen()
+})
+
+afterEach(async () => {
+    await server.close()
+})
+
+const createEngine = (options = {}) => {
+    return new ShopifyEngine({ ...server.engineConfig(admin_api_url), ...options })
+}
+
+test("pages through every product variant", async () => {
+    // 150 variants take two pages of 100
+    server.variants = Array.from({ length: 150 }, (_, i) => ({
+        ...fixtures[2],
+        id: `gid://shopify/ProductVariant/${1000 + i}`,
+        sku: `SKU-${i}`,
+        inventoryItem: { ...fixtures[2].inventoryItem, id: `gid://shopify/InventoryItem/${2000 + i}` }
+    }))
+
+    const variants = await createEngine().getAllProductVariants()
+
+    assert.strictEqual(variants.length, 150)
+    assert.deepStrictEqual(variants.map(({ sku }) => sku), server.variants.map(({ sku }) => sku))
+    assert.deepStrictEqual(server.requests.map(({ variables }) => variables.cursor), [null, "99"])
+})
+
+test("parses variants with their shop currency, costs and collections", async () => {
+    const [variant] = await createEngine().getAllProductVariants({ include_collections: true })
+
+    assert.deepStrictEqual(variant, {
+        id: "gid://shopify/ProductVariant/101",
+        product_id: "gid://shopify/Product/10",
+        title: "Classic Tee",
+        vendor: "Acme",
+        product_type: "Apparel",
+        tags: ["cotton"],
+        collections: [{ title: "Summer", handle: "summer" }],
+        sku: "TEE-BLK-M",
+        barcode: "0000000000101",
+        price: "25.00",
+        price_currency_code: "USD",
+        selected_options: [{ value: "Black" }, { value: "M" }],
+        inventory_item: {
+            id: "gid://shopify/InventoryItem/201",
+            unit_cost: { amount: "8.50", currency_code: "USD" },
+            inventory_levels: null
+        },
+        inventory_quantity: 12,
+        taxable: true
+    })
+})
+
+test("sums the inventory levels of the selected locations", async () => {
+    server.variants[0].inventoryItem.inventoryLevels.push({ available: 5, location: { id: "gid://shopify/Location/2", name: "Store" } })
+
+    const engine = createEngine({ location_ids: ["2"] })
+    const [variant] = await engine.getAllProductVariants()
+
+    assert.strictEqual(variant.inventory_quantity, 5)
+    assert.strictEqual(variant.inventory_item.inventory_levels.length, 2)
+    assert.strictEqual(server.requests[0].variables.first, 50)
+})
+
+test("reads the inventory levels past the first page of an item stocked at many locations", async () => {
+    for (let i = 2; i <= 65; i++) {
+        server.variants[0].inventoryItem.inventoryLevels.push({ available: 1, location: { id: `gid://shopify/Location/${i}`, name: `Store ${i}` } })
+    }
+
+    const engine = createEngine({ location_ids: ["64", "65"] })
+    const [variant] = await engine.getAllProductVariants()
+
+    assert.strictEqual(variant.inventory_item.inventory_levels.length, 65)
+    assert.strictEqual(variant.inventory_quantity, 2)
+    assert.deepStrictEqual(server.requests.filter(({ operationName }) => operationName == "getInventoryLevels").map(({ variables }) => variables.cursor), ["9", "59"])
+})
+
+test("retries 429 and 5xx responses and throttled queries", async () => {
+    server.failures = [{ status: 429, retry_after: "0" }, { status: 502 }, { throttled: true }]
+
+    const variants = await createEngine({ scheduler: new RequestScheduler({ base_delay: 1 }) }).getAllProductVariants()
+
+    assert.strictEqual(variants.length, 3)
+    assert.strictEqual(server.requests.length, 4)
+})
+
+test("gives up on a request that keeps failing", async () => {
+    server.failures = [{ status: 503 }, { status: 503 }, { status: 503 }]
+
+    await assert.rejects(createEngine({ scheduler: new RequestScheduler({ base_delay: 1, max_retries: 2 }) }).getAllProductVariants(), /503/)
+    assert.strictEqual(server.requests.length, 3)
+})
+
+test("parsed variants map to quickbooks products", async () => {
+    const variants = await createEngine().getAllProductVariants()
+    const products = variants.map(variant => parseProduct(variant, { mapping: { category_separator: ">" } }))
+
+    assert.deepStrictEqual(products[2], {
+        name: "Acme Logo Mug",
+        vendor: "Acme",
+        product_type: "Kitchen > Drinkware",
+        category_path: ["Kitchen", "Drinkware"],
+        sku: "MUG-WHT",
+        description: "Acme Logo Mug, barcode:",
+        unit_price: 12,
+        purchase_cost: null,
+        quantity: 30,
+        taxable: false
+    })
+})
+
+test("the bulk fetch mode yields the same variants as paging", async () => {
+    const paged = await createEngine().getAllProductVariants({ include_collections: true })
+
+    let streamed = []
+    for await (const variant of createEngine({ fetch_mode: "bulk", bulk_poll_interval: 0 }).iterateProductVariants({ include_collections: true })) {
+        streamed.push(variant)
+    }
+
+    assert.deepStrictEqual(streamed, paged)
+    assert.deepStrictEqual(server.requests.filter(({ operationName }) => operationName == "getCurrentBulkOperation").length, 2)
+})
+
+test("the bulk fetch mode reads inventory levels from a bulk query of the locations", async () => {
+    server.variants[0].inventoryItem.inventoryLevels.push({ available: 5, location: { id: "gid://shopify/Location/2", name: "Store" } })
+
+    const paged = await createEngine({ location_ids: ["2"] }).getAllProductVariants()
+    const bulk = await createEngine({ location_ids: ["2"], fetch_mode: "bulk", bulk_poll_interval: 0 }).getAllProductVariants()
+
+    assert.deepStrictEqual(bulk, paged)
+    assert.strictEqual(bulk[0].inventory_quantity, 5)
+    assert.strictEqual(server.bulk_operations.length, 2)
+})
+
+test("the bulk fetch mode yields nothing for an empty catalog", async () => {
+    server.variants = []
+
+    const variants = await createEngine({ fetch_mode: "bulk", bulk_poll_interval: 0 }).getAllProductVariants()
+
+    assert.deepStrictEqual(variants, [])
+})
+
+test("a failed bulk operation fails the fetch", async () => {
+    server.bulk_error_code = "ACCESS_DENIED"
+
+    const engine = createEngine({ fetch_mode: "bulk", bulk_poll_interval: 0 })
+
+    await assert.rejects(engine.getAllProductVariants(), /bulk operation gid:\/\/shopify\/BulkOperation\/1 failed: ACCESS_DENIED/)
+})
+
+test("a max name length over the quickbooks limit is rejected", async () => {
+    const variants = await createEngine().getAllProductVariants()
+
+    assert.throws(() => validateProductVariants(variants, { mapping: { max_name_length: 150 } }), /invalid max_name_length: 150; quickbooks names can't have more than 100 characters/)
+    assert.throws(() => parseProduct(variants[0], { mapping: { max_name_length: 150 } }), /invalid max_name_length/)
+})
+
+const describeValidation = ({ ok, results }) => ({
+    ok,
+    results: results.map(({ errors, warnings }) => ({ errors: errors.map(({ code }) => code), warnings: warnings.map(({ code }) => code) }))
+})
+
+test("validation rules are switched off, switched on and given a severity by their code", async () => {
+    const variants = await createEngine().getAllProductVariants()
+
+    assert.deepStrictEqual(describeValidation(validateProductVariants(variants)).results[2], { errors: [101, 109], warnings: [] })
+
+    // bundles have no barcode, and a margin under 20 is worth a look but not a failure
+    const validation = validateProductVariants(variants, { rules: { 101: { severity: "warning" }, 109: false, 111: { min_margin: 20 } } })
+
+    assert.deepStrictEqual(describeValidation(validation), {
+        ok: true,
+        results: [
+            { errors: [], warnings: [111] },
+            { errors: [], warnings: [111] },
+            { errors: [], warnings: [101] }
+        ]
+    })
+    assert.strictEqual(validation.results[0].warnings[0].message, "low margin: price 25.00 is less than cost 8.50 plus 20")
+})
+
+test("custom validation rules check single variants, unique keys and the whole catalog", async () => {
+    const variants = await createEngine().getAllProductVariants()
+    const custom_rules = [
+        { code: 900, severity: "error", check: ({ sku }, context, { prefix }) => sku.startsWith(prefix) ? null : `sku without prefix ${prefix}`, options: { prefix: "TEE-" } },
+        { code: 901, severity: "warning", unique: { key: ({ variant }) => variant.price, message: (price, id) => `same price ${price} as ${id}` } },
+        { code: 902, severity: "warning", catalog: entries => entries.length > 2 ? [{ index: entries.length - 1, message: "more than 2 variants" }] : [] }
+    ]
+
+    const validation = validateProductVariants(variants, { rules: { 101: false, 109: false }, custom_rules })
+
+    assert.deepStrictEqual(describeValidation(validation), {
+        ok: false,
+        results: [
+            { errors: [], warnings: [] },
+            { errors: [], warnings: [901] },
+            { errors: [900], warnings: [902] }
+        ]
+    })
+    assert.strictEqual(validation.results[1].warnings[0].message, `same price 25.00 as ${variants[0].id}`)
+    assert.throws(() => validateProductVariants(variants, { custom_rules: [{ code: 109, check: () => null }] }), /duplicate validation rule code: 109/)
+})
+
+test("variants whose tax status has no tax codes in the tax mapping fail validation", async () => {
+    const variants = await createEngine().getAllProductVariants()
+
+    const { results } = validateProductVariants(variants, {
+        tax_mapping: { taxable: { sales: "GST", purchase: "GST" }, overrides: { product_type: { "Kitchen > Drinkware": { sales: "Exempt" } } } }
+    })
+
+    assert.deepStrictEqual(results.map(({ errors }) => errors.filter(({ code }) => code == 115).map(({ message }) => message)), [
+        [],
+        [],
+        ["missing tax mapping: no sales and purchase tax codes for non-taxable variants of product type Kitchen > Drinkware"]
+    ])
+})
+
+test("reads the shop currency and inventory item costs", async () => {
+    server.shop_currency = "CAD"
+    const engine = createEngine()
+
+    assert.strictEqual(await engine.getShopCurrency(), "CAD")
+    assert.deepStrictEqual(await engine.getInventoryItemCosts(["gid://shopify/InventoryItem/201", "gid://shopify/InventoryItem/203"]), {
+        "gid://shopify/InventoryItem/201": { amount: "8.50", currency_code: "USD" },
+        "gid://shopify/InventoryItem/203": null
+    })
+})
+
+test("queries reach shopify every time rather than the apollo cache", async () => {
+    const engine = createEngine()
+    await engine.getInventoryItemCosts(["gid://shopify/InventoryItem/201"])
+    await engine.getAllProductVariants()
+
+    server.variants[0].price = "30.00"
+    server.variants[0].inventoryItem.unitCost = { amount: "999.00", currencyCode: "USD" }
+
+    assert.deepStrictEqual(await engine.getInventoryItemCosts(["gid://shopify/InventoryItem/201"]), {
+        "gid://shopify/InventoryItem/201": { amount: "999.00", currency_code: "USD" }
+    })
+    assert.strictEqual((await engine.getAllProductVariants())[0].price, "30.00")
+})
+
+test("writes quickbooks owned prices and costs back to the variant", async () => {
+    const engine = createEngine()
+    const [variant] = await engine.getAllProductVariants()
+
+    await engine.updateProductVariant(variant, { UnitPrice: 27.5, PurchaseCost: 9 })
+
+    assert.strictEqual(server.variants[0].price, "27.5")
+    assert.deepStrictEqual(server.variants[0].inventoryItem.unitCost, { amount: "9", currencyCode: "USD" })
+})
\ No newline at end of file
@@ -0,0 +1,617 @@
+const { test, beforeEach, afterEach } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const { SyncRunner } = require("../sync_runner")
+const { SyncProfiles } = require("../sync_profiles")
+const { ShopifyEngine } = require("../shopify_engine")
+const { QuickBooksEngine } = require("../quickbooks_engine")
+const { MemoryStateStore } = require("../state_store")
+const { MemoryAuditLog, JSONLinesAuditLog } = require("../audit_log")
+const { registerReporter, renderReport, writeReport } = require("../reporters")
+const { FakeShopifyServer } = require("./mocks/shopify_server")
+const { FakeQuickBooksServer } = require("./mocks/quickbooks_server")
+const fixtures = require("./fixtures/product_variants.json")
+
+let shopify_server
+let quickbooks_server
+let admin_api_url
+let base_url
+
+beforeEach(async () => {
+    // the second tee takes the first one's sku, and the mug has neither a barcode nor a cost
+    let variants = JSON.parse(JSON.stringify(fixtures))
+    variants[1].sku = variants[0].sku
+
+    shopify_server = new FakeShopifyServer({ variants })
+    quickbooks_server = new FakeQuickBooksServer()
+    admin_api_url = await shopify_server.listen()
+    base_url = await quickbooks_server.listen()
+})
+
+afterEach(async () => {
+    await shopify_server.close()
+    await quickbooks_server.close()
+})
+
+const createRunner = ({ fetch_mode = "pages", batch = false, audit_log = null, ...options } = {}) => {
+    return new SyncRunner({
+        shopify: new ShopifyEngine({ ...shopify_server.engineConfig(admin_api_url), fetch_mode, bulk_poll_interval: 0 }),
+        quickbooks: new QuickBooksEngine({ ...quickbooks_server.engineConfig(base_url), batch, audit_log }),
+        ...options
+    })
+}
+
+const describeResults = ({ results }) => {
+    return results.map(({ id, sku, status, errors }) => ({ id, sku, status, errors: errors.map(({ code }) => code) }))
+}
+
+test("a streamed run syncs and skips the same variants as a paged run", async () => {
+    const paged = await createRunner().plan()
+    const streamed = await createRunner({ fetch_mode: "bulk" }).plan()
+
+    assert.deepStrictEqual(describeResults(streamed), describeResults(paged))
+    assert.deepStrictEqual(describeResults(streamed), [
+        { id: "gid://shopify/ProductVariant/101", sku: "TEE-BLK-M", status: "created", errors: [] },
+        { id: "gid://shopify/ProductVariant/102", sku: "TEE-BLK-M", status: "skipped", errors: [108] },
+        { id: "gid://shopify/ProductVariant/103", sku: "MUG-WHT", status: "skipped", errors: [101, 109] }
+    ])
+})
+
+test("a streamed run creates the valid variants and records the sync", async () => {
+    const state_store = new MemoryStateStore()
+    const summary = await createRunner({ fetch_mode: "bulk", state_store, sku_prefix: "A-" }).run({ concurrency: 2 })
+
+    assert.strictEqual(summary.created, 1)
+    assert.strictEqual(summary.skipped, 2)
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "A-TEE-BLK-M" }).Name, "Acme Classic Tee Black M")
+    assert.notStrictEqual(await state_store.getLastSyncedAt(), null)
+})
+
+test("the sync time stays put while variants are skipped for a missing exchange rate, until the rate is configured", async () => {
+    shopify_server.shop_currency = "CAD"
+    const state_store = new MemoryStateStore()
+    let rate = null
+    const exchange_rates = { rate: async () => rate }
+
+    const skipped = await createRunner({ state_store, exchange_rates }).run()
+    assert.deepStrictEqual(skipped.results[0].errors.map(({ code }) => code), [114])
+    assert.strictEqual(await state_store.getLastSyncedAt(), null)
+
+    rate = 0.5
+    const synced = await createRunner({ state_store, exchange_rates }).run({ incremental: true })
+    assert.strictEqual(synced.created, 1)
+    assert.notStrictEqual(await state_store.getLastSyncedAt(), null)
+})
+
+test("a streamed run converts prices with rates looked up as currencies turn up", async () => {
+    shopify_server.shop_currency = "CAD"
+    let asked = []
+    const exchange_rates = { rate: async (from, to) => { asked.push(`${from}:${to}`); return from == "CAD" ? 0.5 : null } }
+
+    const summary = await createRunner({ fetch_mode: "bulk", exchange_rates }).plan()
+
+    assert.deepStrictEqual(asked, ["CAD:USD"])
+    const { diff } = summary.results[0].changes.find(({ type }) => type == "create")
+    assert.strictEqual(diff.find(({ field }) => field == "UnitPrice").new, 12.5)
+})
+
+test("validating reports prices in a currency with no rate to the quickbooks home currency", async () => {
+    shopify_server.shop_currency = "CAD"
+    const exchange_rates = { rate: async () => null }
+
+    const report = await createRunner({ exchange_rates }).validate({ skus: ["MUG-WHT"] })
+
+    assert.strictEqual(report.ok, false)
+    assert.deepStrictEqual(report.results.map(({ errors }) => errors.map(({ code }) => code)), [[101, 109, 114]])
+
+    const profiles = new SyncProfiles({
+        profiles: [{
+            name: "ca",
+            shopify: new ShopifyEngine(shopify_server.engineConfig(admin_api_url)),
+            quickbooks: new QuickBooksEngine(quickbooks_server.engineConfig(base_url)),
+            exchange_rates
+        }]
+    })
+    const profile_report = await profiles.validate({ skus: ["MUG-WHT"] })
+    assert.deepStrictEqual(profile_report.results.map(({ errors }) => errors.map(({ code }) => code)), [[101, 109, 114]])
+})
+
+test("renders the validation report as csv, junit and html, with only the failing variants when filtered", async () => {
+    const report = await createRunner().validate()
+
+    assert.deepStrictEqual(renderReport(report, { kind: "validation", format: "csv" }).split("\n"), [
+        "id,product_id,title,status,severity,code,message",
+        "gid://shopify/ProductVariant/101,gid://shopify/Product/10,Classic Tee,passed,,,",
+        "gid://shopify/ProductVariant/102,gid://shopify/Product/10,Classic Tee,failed,error,108,duplicate sku: TEE-BLK-M; the sku is already in use by product variant with id: gid://shopify/ProductVariant/101",
+        "gid://shopify/ProductVariant/103,gid://shopify/Product/11,Logo Mug,failed,error,101,invalid cost: cost can't be empty",
+        "gid://shopify/ProductVariant/103,gid://shopify/Product/11,Logo Mug,failed,error,109,invalid barcode: barcode can't be empty"
+    ])
+
+    const junit = renderReport(report, { kind: "validation", format: "junit", failures_only: true })
+    assert.match(junit, /<testsuite name="product variant validation" tests="2" failures="2" skipped="0">/)
+    assert.match(junit, /<failure message="101 invalid cost: cost can&apos;t be empty"\/>/)
+    assert.doesNotMatch(junit, /ProductVariant\/101 Classic Tee/)
+
+    const html = renderReport(report, { kind: "validation", format: "html", failures_only: true })
+    assert.match(html, /<p class="summary">some variants did not pass validation<\/p>/)
+    assert.match(html, /<tr class="failed"><td>gid:\/\/shopify\/ProductVariant\/103<\/td>.*<td>101 invalid cost: cost can&apos;t be empty<br>109 invalid barcode: barcode can&apos;t be empty<\/td><\/tr>/)
+    assert.doesNotMatch(html, /<td>gid:\/\/shopify\/ProductVariant\/101<\/td>/)
+
+    assert.deepStrictEqual(JSON.parse(renderReport(report, { kind: "validation", format: "json", failures_only: true })).results.map(({ id }) => id), ["gid://shopify/ProductVariant/102", "gid://shopify/ProductVariant/103"])
+    assert.throws(() => renderReport(report, { kind: "validation", format: "console" }), /no reporter renders console; expected one of: json, csv, junit, html/)
+})
+
+test("writes the run report to a file, skipped variants as skipped junit test cases", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "report-"))
+    const output = path.join(dir, "plan.xml")
+
+    try {
+        writeReport(await createRunner().plan(), { kind: "run", format: "junit", output })
+
+        const junit = await fs.promises.readFile(output, "utf8")
+        assert.match(junit, /<testsuite name="quickbooks sync plan" tests="3" failures="0" skipped="2">/)
+        assert.match(junit, /<testcase classname="sku TEE-BLK-M" name="gid:\/\/shopify\/ProductVariant\/101 created"\/>/)
+        assert.match(junit, /<skipped message="108 duplicate sku: TEE-BLK-M;/)
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+})
+
+test("a registered reporter renders reports in its own format", async () => {
+    registerReporter("count", { validation: ({ results }) => `${results.length} variants`, run: ({ results }) => `${results.length} results` })
+
+    assert.strictEqual(renderReport(await createRunner().validate(), { kind: "validation", format: "count", failures_only: true }), "2 variants")
+    assert.throws(() => registerReporter("broken", { validation: () => "" }), /reporter broken needs a validation and a run function/)
+})
+
+// a second store whose classic tee collides with the first store's by name and barcode, and a pocket tee of its own
+const createSecondStore = async () => {
+    const [tee] = JSON.parse(JSON.stringify(fixtures))
+    const pocket_tee = {
+        ...JSON.parse(JSON.stringify(tee)),
+        id: "gid://shopify/ProductVariant/502",
+        sku: "TEE-PKT-M",
+        barcode: "0000000000502"
+    }
+    pocket_tee.product = { ...pocket_tee.product, id: "gid://shopify/Product/50", title: "Pocket Tee" }
+    pocket_tee.inventoryItem.id = "gid://shopify/InventoryItem/502"
+
+    const server = new FakeShopifyServer({ variants: [{ ...tee, id: "gid://shopify/ProductVariant/501" }, pocket_tee] })
+    return { server, admin_api_url: await server.listen() }
+}
+
+test("stores sharing a company are validated together, and only the first keeps a colliding name or barcode", async () => {
+    const second = await createSecondStore()
+
+    try {
+        const quickbooks = new QuickBooksEngine(quickbooks_server.engineConfig(base_url))
+        const profiles = new SyncProfiles({
+            profiles: [
+                { name: "a", shopify: new ShopifyEngine(shopify_server.engineConfig(admin_api_url)), quickbooks, sku_prefix: "A-" },
+                { name: "b", shopify: new ShopifyEngine(second.server.engineConfig(second.admin_api_url)), quickbooks, sku_prefix: "B-" }
+            ]
+        })
+
+        const report = await profiles.validate()
+        assert.deepStrictEqual(report.results.map(({ id, profile, errors }) => [profile, id, errors.map(({ code }) => code)]), [
+            ["a", "gid://shopify/ProductVariant/101", []],
+            ["a", "gid://shopify/ProductVariant/102", [108]],
+            ["a", "gid://shopify/ProductVariant/103", [101, 109]],
+            ["b", "gid://shopify/ProductVariant/501", [106, 110]],
+            ["b", "gid://shopify/ProductVariant/502", []]
+        ])
+
+        const summary = await profiles.run()
+        assert.deepStrictEqual(summary.results.filter(({ status }) => status == "created").map(({ profile, sku }) => [profile, sku]), [["a", "A-TEE-BLK-M"], ["b", "B-TEE-PKT-M"]])
+        assert.deepStrictEqual(quickbooks_server.items.filter(({ Type }) => Type == "Inventory").map(({ Sku, Name }) => [Sku, Name]), [
+            ["A-TEE-BLK-M", "Acme Classic Tee Black M"],
+            ["B-TEE-PKT-M", "Acme Pocket Tee Black M"]
+        ])
+    } finally {
+        await second.server.close()
+    }
+})
+
+test("a store never deactivates the items of another store sharing its company", async () => {
+    const second = await createSecondStore()
+
+    try {
+        const quickbooks = new QuickBooksEngine(quickbooks_server.engineConfig(base_url))
+        const profiles = new SyncProfiles({
+            profiles: [
+                { name: "a", shopify: new ShopifyEngine(shopify_server.engineConfig(admin_api_url)), quickbooks, sku_prefix: "A-" },
+                { name: "b", shopify: new ShopifyEngine(second.server.engineConfig(second.admin_api_url)), quickbooks, sku_prefix: "B-" }
+            ]
+        })
+        await profiles.run()
+        const orphan = quickbooks_server.insertItem({ Name: "Acme Classic Tee Red S", Sku: "A-TEE-RED-S", Type: "Inventory" })
+
+        // every item store b owns is still in its catalog, store a's items aren't its to deactivate
+        const b = await profiles.runners.b.reconcile({ max_deactivation_percent: 100 })
+        assert.deepStrictEqual(b.results, [])
+
+        const a = await profiles.runners.a.reconcile({ max_deactivation_percent: 100 })
+        assert.deepStrictEqual(a.results.map(({ sku, status }) => [sku, status]), [["A-TEE-RED-S", "deactivated"]])
+        assert.strictEqual(quickbooks_server.findItem({ Id: orphan.Id }).Active, false)
+        assert.strictEqual(quickbooks_server.findItem({ Sku: "B-TEE-PKT-M" }).Active, true)
+
+        assert.throws(() => new SyncProfiles({
+            profiles: [
+                { name: "a", shopify: new ShopifyEngine(shopify_server.engineConfig(admin_api_url)), quickbooks },
+                { name: "b", shopify: new ShopifyEngine(second.server.engineConfig(second.admin_api_url)), quickbooks }
+            ]
+        }), /sync profiles a and b share a quickbooks company and the sku prefix ""/)
+    } finally {
+        await second.server.close()
+    }
+})
+
+test("a streamed run can't use validation rules that check the whole catalog", async () => {
+    const validation = { custom_rules: [{ code: 900, catalog: () => [] }] }
+
+    await assert.rejects(createRunner({ fetch_mode: "bulk", validation }).plan(), /validation rules 900 check the whole catalog/)
+})
+
+test("a batched run reads the items once and writes them in batches", async () => {
+    shopify_server.variants[1].sku = "TEE-BLK-L"
+    shopify_server.variants[2].barcode = "0000000000103"
+    shopify_server.variants[2].inventoryItem.unitCost = { amount: "4.00", currencyCode: "USD" }
+
+    const summary = await createRunner({ batch: true }).run({ concurrency: 30 })
+
+    assert.strictEqual(summary.created, 3)
+    assert.strictEqual(quickbooks_server.requests.filter(({ query }) => query && /from item/i.test(query)).length, 1)
+    assert.ok(quickbooks_server.requests.every(({ method, path }) => method == "GET" || path.endsWith("/batch")))
+    assert.deepStrictEqual(quickbooks_server.items.filter(({ Type }) => Type == "Inventory").map(({ Sku }) => Sku).sort(), ["MUG-WHT", "TEE-BLK-L", "TEE-BLK-M"])
+})
+
+test("a run rolls back by its run id, and its variants are synced again by the next run", async () => {
+    const state_store = new MemoryStateStore()
+    const audit_log = new MemoryAuditLog()
+    const runner = createRunner({ state_store, audit_log })
+
+    const summary = await runner.run()
+    assert.strictEqual(summary.created, 1)
+    assert.ok(summary.run_id)
+
+    const rollback = await runner.rollback(summary.run_id)
+
+    // the category is kept, other items may have been filed under it since
+    assert.deepStrictEqual(rollback.results.map(({ name, status }) => [name, status]), [["Apparel", "unchanged"], ["Acme Classic Tee Black M", "deactivated"]])
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).Active, false)
+    assert.deepStrictEqual(await state_store.findVariantsByItemId(rollback.results[1].id), [])
+    assert.strictEqual((await audit_log.findByRunId(rollback.run_id))[0].reason, `rollback of run ${summary.run_id}`)
+
+    const resynced = await runner.run()
+    assert.strictEqual(resynced.updated, 1)
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).Active, true)
+})
+
+test("reconciling deactivates the items whose variants are gone, within the deactivation limit", async () => {
+    quickbooks_server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "TEE-BLK-M", Type: "Inventory" })
+    quickbooks_server.insertItem({ Name: "Acme Mug White", Sku: "MUG-WHT", Type: "Inventory" })
+    const orphan = quickbooks_server.insertItem({ Name: "Acme Classic Tee Red S", Sku: "TEE-RED-S", Type: "Inventory" })
+
+    await assert.rejects(createRunner().reconcile(), /refusing to deactivate 1 of 3 active products \(33\.3%\); the limit is 10%/)
+    assert.strictEqual(quickbooks_server.findItem({ Id: orphan.Id }).Active, true)
+
+    const planned = await createRunner().reconcile({ max_deactivation_percent: 50, dry_run: true })
+    assert.deepStrictEqual(planned.results.map(({ sku, status }) => [sku, status]), [["TEE-RED-S", "deactivated"]])
+    assert.strictEqual(quickbooks_server.findItem({ Id: orphan.Id }).Active, true)
+
+    const summary = await createRunner().reconcile({ max_deactivation_percent: 50 })
+    assert.strictEqual(summary.deactivated, 1)
+    assert.strictEqual(quickbooks_server.findItem({ Id: orphan.Id }).Active, false)
+    assert.ok(quickbooks_server.items.filter(({ Sku }) => Sku != "TEE-RED-S").every(({ Active }) => Active))
+})
+
+test("with conflict sources, a cost changed in quickbooks since the last sync is written back to shopify", async () => {
+    const state_store = new MemoryStateStore()
+    const field_sources = { UnitPrice: "conflict", PurchaseCost: "conflict" }
+    await createRunner({ state_store, field_sources }).run()
+
+    // an accountant fixes the cost in quickbooks
+    const item = quickbooks_server.findItem({ Sku: "TEE-BLK-M" })
+    item.PurchaseCost = 9.25
+    item.SyncToken = String(parseInt(item.SyncToken, 10) + 1)
+
+    const summary = await createRunner({ state_store, field_sources }).run()
+
+    assert.strictEqual(summary.results[0].status, "unchanged")
+    assert.deepStrictEqual(summary.results[0].changes.map(({ type, diff }) => [type, diff]), [["shopify_writeback", [{ field: "PurchaseCost", old: 8.5, new: 9.25 }]]])
+    assert.strictEqual(parseFloat(shopify_server.variants[0].inventoryItem.unitCost.amount), 9.25)
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).PurchaseCost, 9.25)
+    assert.strictEqual((await state_store.getVariant(shopify_server.variants[0].id)).synced_fields.PurchaseCost, 9.25)
+})
+
+test("with conflict sources, a price changed on both sides is reported and left alone until resolved", async () => {
+    const state_store = new MemoryStateStore()
+    const field_sources = { UnitPrice: "conflict", PurchaseCost: "conflict" }
+    await createRunner({ state_store, field_sources }).run()
+
+    quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).UnitPrice = 27
+    shopify_server.variants[0].price = "29.00"
+
+    const summary = await createRunner({ state_store, field_sources }).run()
+
+    assert.strictEqual(summary.conflicts, 1)
+    assert.deepStrictEqual(summary.results[0].conflicts, [{ field: "UnitPrice", shopify: 29, quickbooks: 27, last_synced: 25 }])
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).UnitPrice, 27)
+    assert.strictEqual(shopify_server.variants[0].price, "29.00")
+
+    // with shopify as the source its price wins
+    await createRunner({ state_store, field_sources: { UnitPrice: "shopify" } }).run()
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).UnitPrice, 29)
+})
+
+test("rolling back an unknown run fails", async () => {
+    await assert.rejects(createRunner({ audit_log: new MemoryAuditLog() }).rollback("missing"), /the audit log has no writes of run missing/)
+})
+
+test("the json lines audit log skips a partial line left by a crash and appends after it on a fresh line", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "audit-log-"))
+    const file = path.join(dir, "audit.jsonl")
+    await fs.promises.writeFile(file, `${JSON.stringify({ run_id: "run-1", sku: "TEE-BLK-M" })}\n{"run_id":"run-1","sk`)
+
+    try {
+        const audit_log = new JSONLinesAuditLog({ path: file })
+        await audit_log.append({ run_id: "run-1", sku: "MUG-WHT" })
+        await audit_log.append({ run_id: "run-2", sku: "TEE-BLK-L" })
+
+        let skipped = []
+        assert.deepStrictEqual((await audit_log.findByRunId("run-1", { on_skipped_line: line => skipped.push(line.line) })).map(({ sku }) => sku), ["TEE-BLK-M", "MUG-WHT"])
+        assert.deepStrictEqual((await audit_log.findByRunId("run-2")).map(({ sku }) => sku), ["TEE-BLK-L"])
+        assert.deepStrictEqual(skipped, [2])
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+})
+
+test("a rollback reports the audit log lines it couldn't read with its summary", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "audit-log-"))
+    const file = path.join(dir, "audit.jsonl")
+
+    try {
+        const runner = createRunner({ audit_log: new JSONLinesAuditLog({ path: file }) })
+        const summary = await runner.run()
+        await fs.promises.appendFile(file, `{"run_id":"${summary.run_id}","sk\n`)
+
+        const rollback = await runner.rollback(summary.run_id)
+
+        assert.strictEqual(rollback.deactivated, 1)
+        assert.strictEqual(rollback.warnings.length, 1)
+        assert.match(rollback.warnings[0].message, /^skipped line 3 of audit log .*audit\.jsonl: /)
+        assert.match(renderReport(rollback, { kind: "run", format: "html" }), /1 deactivated; warning: skipped line 3 of audit log/)
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+})
+
+const money = amount => ({ shopMoney: { amount } })
+
+const orderNode = ({ legacy_id, taxes_included = false, line_items, has_next_line_items = false, refunded_shipping = "0.00", refunds = [] }) => ({
+    id: `gid://shopify/Order/${legacy_id}`,
+    legacyResourceId: legacy_id,
+    name: `#${legacy_id}`,
+    email: "customer@example.com",
+    processedAt: "2020-09-28T10:15:00Z",
+    displayFinancialStatus: "PAID",
+    currencyCode: "USD",
+    taxesIncluded: taxes_included,
+    lineItems: {
+        pageInfo: { hasNextPage: has_next_line_items },
+        edges: line_items.map(({ sku, quantity, unit_price }, i) => ({
+            node: { id: `gid://shopify/LineItem/${legacy_id}${i}`, sku, title: sku, quantity, originalUnitPriceSet: money(unit_price) }
+        }))
+    },
+    totalShippingPriceSet: money("0.00"),
+    totalDiscountsSet: money("0.00"),
+    totalTaxSet: money("2.00"),
+    totalRefundedShippingSet: money(refunded_shipping),
+    refunds
+})
+
+const refundNode = ({ legacy_id, created_at, total, line_items, has_next_line_items = false }) => ({
+    id: `gid://shopify/Refund/${legacy_id}`,
+    legacyResourceId: legacy_id,
+    createdAt: created_at,
+    note: null,
+    totalRefundedSet: money(total),
+    refundLineItems: {
+        pageInfo: { hasNextPage: has_next_line_items },
+        edges: line_items.map(({ sku, quantity, restocked, subtotal, tax = "0.00" }) => ({
+            node: { quantity, restocked, lineItem: { sku, title: sku }, subtotalSet: money(subtotal), totalTaxSet: money(tax) }
+        }))
+    }
+})
+
+test("an order whose line items were cut off fails, and a tax inclusive order is posted as such", async () => {
+    await createRunner().run()
+
+    shopify_server.orders.push(
+        orderNode({ legacy_id: "5001", line_items: [{ sku: "TEE-BLK-M", quantity: 1, unit_price: "12.00" }], has_next_line_items: true }),
+        orderNode({ legacy_id: "5002", taxes_included: true, line_items: [{ sku: "TEE-BLK-M", quantity: 1, unit_price: "12.00" }] })
+    )
+
+    const summary = await createRunner().syncOrders()
+
+    assert.deepStrictEqual(summary.results.map(({ name, status }) => [name, status]), [["#5001", "failed"], ["#5002", "created"]])
+    assert.match(summary.results[0].errors[0].message, /only the first 1 line items of order #5001 were fetched/)
+    assert.deepStrictEqual(quickbooks_server.sales_receipts.map(({ DocNumber, GlobalTaxCalculation }) => [DocNumber, GlobalTaxCalculation]), [["5002", "TaxInclusive"]])
+})
+
+test("a refund of a tax inclusive order counts the line tax once and is posted tax inclusive", async () => {
+    await createRunner().run()
+
+    shopify_server.orders.push(orderNode({ legacy_id: "5001", taxes_included: true, line_items: [{ sku: "TEE-BLK-M", quantity: 1, unit_price: "12.00" }], refunded_shipping: "5.00", refunds: [
+        refundNode({ legacy_id: "7001", created_at: "2020-10-01T00:00:00Z", total: "17.00", line_items: [{ sku: "TEE-BLK-M", quantity: 1, restocked: true, subtotal: "12.00", tax: "2.00" }] })
+    ] }))
+
+    await createRunner().syncRefunds()
+
+    const [refund_receipt] = quickbooks_server.refund_receipts
+    assert.strictEqual(refund_receipt.GlobalTaxCalculation, "TaxInclusive")
+    assert.deepStrictEqual(refund_receipt.Line.map(({ Description, Amount }) => [Description, Amount]), [["TEE-BLK-M", 12], ["Shipping", 5]])
+})
+
+test("syncs the stock of the selected locations with a dated adjustment and reports how far each sku moved", async () => {
+    await createRunner().run()
+    shopify_server.variants[0].inventoryItem.inventoryLevels.push({ available: 5, location: { id: "gid://shopify/Location/2", name: "Store" } })
+
+    const runner = new SyncRunner({
+        shopify: new ShopifyEngine({ ...shopify_server.engineConfig(admin_api_url), location_ids: ["2"] }),
+        quickbooks: new QuickBooksEngine(quickbooks_server.engineConfig(base_url))
+    })
+
+    // the second tee, which takes the first one's sku, is skipped
+    const planned = await runner.syncInventory({ skus: ["TEE-BLK-M"], dry_run: true })
+    assert.deepStrictEqual(planned.results.slice(0, 1).map(({ sku, status, previous_quantity, quantity, delta }) => ({ sku, status, previous_quantity, quantity, delta })), [
+        { sku: "TEE-BLK-M", status: "adjusted", previous_quantity: 0, quantity: 5, delta: 5 }
+    ])
+    assert.deepStrictEqual(quickbooks_server.inventory_adjustments, [])
+
+    await runner.syncInventory({ skus: ["TEE-BLK-M"], memo: "stock take", date: "2026-10-01" })
+
+    const [adjustment] = quickbooks_server.inventory_adjustments
+    assert.strictEqual(adjustment.PrivateNote, "stock take")
+    assert.strictEqual(adjustment.TxnDate, "2026-10-01")
+    assert.strictEqual(adjustment.Line[0].ItemAdjustmentLineDetail.QtyDiff, 5)
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).QtyOnHand, 5)
+
+    const again = await runner.syncInventory({ skus: ["TEE-BLK-M"] })
+    assert.strictEqual(again.results[0].status, "unchanged")
+    assert.strictEqual(quickbooks_server.inventory_adjustments.length, 1)
+})
+
+test("the batch mode books every inventory sync against the quantity quickbooks has at the time", async () => {
+    const runner = createRunner({ batch: true })
+    await runner.run()
+
+    shopify_server.variants[0].inventoryQuantity = 10
+    await runner.syncInventory({ skus: ["TEE-BLK-M"] })
+
+    shopify_server.variants[0].inventoryQuantity = 8
+    await runner.syncInventory({ skus: ["TEE-BLK-M"] })
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).QtyOnHand, 8)
+
+    // another process moves the stock in between
+    quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).QtyOnHand = 3
+    await runner.syncInventory({ skus: ["TEE-BLK-M"] })
+
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).QtyOnHand, 8)
+    assert.deepStrictEqual(quickbooks_server.inventory_adjustments.map(({ Line: [line] }) => line.ItemAdjustmentLineDetail.QtyDiff), [10, -2, 5])
+})
+
+test("the batch mode finds items created by another process when posting orders and refunds", async () => {
+    const runner = createRunner({ batch: true })
+    await runner.run()
+
+    const other_process = createRunner()
+    shopify_server.variants[1].sku = "TEE-BLK-L"
+    await other_process.run({ skus: ["TEE-BLK-L"] })
+
+    const tee = { sku: "TEE-BLK-L", quantity: 1, unit_price: "12.00" }
+    const order = await runner.syncOrder({
+        id: "gid://shopify/Order/5001", legacy_id: "5001", name: "#5001", processed_at: "2020-09-28T10:15:00Z", taxes_included: false,
+        line_items: [{ ...tee, title: "TEE-BLK-L" }], line_items_truncated: false, shipping: "0.00", discount: "0.00", tax: "0.00", refunds: []
+    })
+    assert.deepStrictEqual(order.errors, [])
+    assert.strictEqual(order.status, "created")
+
+    shopify_server.orders.push(orderNode({ legacy_id: "5002", line_items: [tee], refunds: [
+        refundNode({ legacy_id: "7001", created_at: "2020-10-01T00:00:00Z", total: "12.00", line_items: [{ sku: "TEE-BLK-L", quantity: 1, restocked: true, subtotal: "12.00" }] })
+    ] }))
+    const refunds = await runner.syncRefunds()
+    assert.deepStrictEqual(refunds.results.map(({ status }) => status), ["created"])
+})
+
+test("refunds book shipping only as far as the order refunded it, and fail when they were cut off", async () => {
+    await createRunner().run()
+
+    const tee = { sku: "TEE-BLK-M", quantity: 1, unit_price: "12.00" }
+    shopify_server.orders.push(
+        // the first refund takes the order's refunded shipping, what the second doesn't account for is an adjustment
+        orderNode({ legacy_id: "5001", line_items: [tee], refunded_shipping: "5.00", refunds: [
+            refundNode({ legacy_id: "7002", created_at: "2020-10-02T00:00:00Z", total: "3.00", line_items: [] }),
+            refundNode({ legacy_id: "7001", created_at: "2020-10-01T00:00:00Z", total: "17.00", line_items: [{ sku: "TEE-BLK-M", quantity: 1, restocked: true, subtotal: "12.00" }] })
+        ] }),
+        orderNode({ legacy_id: "5002", line_items: [tee], refunds: [
+            refundNode({ legacy_id: "7003", created_at: "2020-10-01T00:00:00Z", total: "4.00", line_items: [{ sku: "TEE-BLK-M", quantity: 0, restocked: true, subtotal: "4.00" }] }),
+            refundNode({ legacy_id: "7004", created_at: "2020-10-02T00:00:00Z", total: "12.00", line_items: [], has_next_line_items: true })
+        ] }),
+        orderNode({ legacy_id: "5003", line_items: [tee], refunds: [1, 2, 3, 4, 5, 6].map(i => refundNode({ legacy_id: `800${i}`, created_at: `2020-10-0${i}T00:00:00Z`, total: "1.00", line_items: [] })) })
+    )
+
+    const summary = await createRunner().syncRefunds()
+
+    const failed = summary.results.filter(({ status }) => status == "failed")
+    assert.deepStrictEqual(failed.map(({ errors }) => errors[0].message), [
+        "only the first 0 line items of refund 7004 of order #5002 were fetched, it has to be posted by hand",
+        "only the first 5 refunds of order #5003 were fetched, the others have to be posted by hand"
+    ])
+
+    const lines = doc_number => quickbooks_server.refund_receipts.find(({ DocNumber }) => DocNumber == doc_number).Line
+        .map(({ Description, Amount, SalesItemLineDetail }) => [Description, Amount, SalesItemLineDetail.Qty])
+    assert.deepStrictEqual(lines("7001"), [["TEE-BLK-M", 12, 1], ["Shipping", 5, undefined]])
+    assert.deepStrictEqual(lines("7002"), [["Refund adjustment", 3, undefined]])
+    assert.deepStrictEqual(lines("7003"), [["TEE-BLK-M x 0 (TEE-BLK-M), not restocked", 4, undefined]])
+    assert.deepStrictEqual(quickbooks_server.refund_receipts.map(({ DocNumber }) => DocNumber).filter(doc_number => doc_number.startsWith("800")), ["8001", "8002", "8003", "8004", "8005"])
+})
+
+test("drafts a purchase order per vendor priced with the unit cost", async () => {
+    shopify_server.variants[1].sku = "TEE-BLK-L"
+    shopify_server.variants[1].inventoryItem.unitCost = null
+    shopify_server.variants[2].product.vendor = "Basics"
+    shopify_server.variants[2].inventoryItem.unitCost = { amount: "8.50", currencyCode: "USD" }
+    quickbooks_server.vendors.push({ Id: "70", DisplayName: "Acme", Active: true, SyncToken: "0" })
+    const tee = quickbooks_server.insertItem({ Name: "Acme Classic Tee Black M", Sku: "TEE-BLK-M", Type: "Inventory" })
+    quickbooks_server.insertItem({ Name: "Basics Logo Mug", Sku: "MUG-WHT", Type: "Inventory" })
+
+    const summary = await createRunner().draftPurchaseOrders([{ sku: "TEE-BLK-M", quantity: 10 }, "TEE-BLK-L", "MUG-WHT", "MISSING"], { quantity: 2 })
+
+    assert.deepStrictEqual(summary.results.map(({ sku, name, status }) => [sku || name, status]), [
+        ["TEE-BLK-L", "skipped"],
+        ["MISSING", "failed"],
+        ["Acme", "created"],
+        ["Basics", "created"]
+    ])
+    assert.deepStrictEqual(quickbooks_server.vendors.map(({ DisplayName }) => DisplayName), ["Acme", "Basics"])
+
+    const [acme, basics] = quickbooks_server.purchase_orders
+    assert.strictEqual(acme.VendorRef.value, "70")
+    assert.strictEqual(acme.POStatus, "Open")
+    assert.deepStrictEqual(acme.Line.map(({ Amount, ItemBasedExpenseLineDetail: { ItemRef, Qty, UnitPrice } }) => [ItemRef.value, Qty, UnitPrice, Amount]), [[tee.Id, 10, 8.5, 85]])
+    assert.strictEqual(basics.Line[0].ItemBasedExpenseLineDetail.Qty, 2)
+    assert.strictEqual(basics.TotalAmt, 17)
+})
+
+test("in the batch mode syncing a product reads the items again, so edits made in quickbooks since don't go stale", async () => {
+    const runner = createRunner({ batch: true })
+    const variants = await runner.shopify.getAllProductVariants()
+    const [tee] = variants
+
+    await runner.syncProductVariants([tee])
+
+    // edited in quickbooks after the index was loaded
+    const item = quickbooks_server.findItem({ Sku: "TEE-BLK-M" })
+    item.Description = "edited in quickbooks"
+    item.SyncToken = String(parseInt(item.SyncToken, 10) + 1)
+
+    const summary = await runner.syncProductVariants([{ ...tee, price: "30.00" }])
+
+    assert.strictEqual(summary.updated, 1)
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "TEE-BLK-M" }).UnitPrice, 30)
+})
+
+test("a run limited to some skus leaves the last synced time alone", async () => {
+    const state_store = new MemoryStateStore()
+
+    await createRunner({ state_store }).run({ skus: ["TEE-BLK-M"] })
+    assert.strictEqual(await state_store.getLastSyncedAt(), null)
+
+    await createRunner({ state_store, fetch_mode: "bulk" }).run({ skus: ["TEE-BLK-M"] })
+    assert.strictEqual(await state_store.getLastSyncedAt(), null)
+})
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const path = require("path")
+
+const { WebhookServer, signWebhook } = require("../webhook_server")
+const { SyncRunner } = require("../sync_runner")
+const { ShopifyEngine } = require("../shopify_engine")
+const { QuickBooksEngine } = require("../quickbooks_engine")
+const { MemoryStateStore } = require("../state_store")
+const { FakeShopifyServer } = require("./mocks/shopify_server")
+const { FakeQuickBooksServer } = require("./mocks/quickbooks_server")
+const fixtures = require("./fixtures/product_variants.json")
+
+const SECRET = "test-webhook-secret"
+
+let shopify_server
+let quickbooks_server
+let webhook_server
+let port
+let handled
+
+// the webhook payloads carry no costs, they are looked up by inventory item in shopify
+const variantWithCost = (inventory_item_id, amount) => ({
+    ...fixtures[0],
+    inventoryItem: { ...fixtures[0].inventoryItem, id: `gid://shopify/InventoryItem/${inventory_item_id}`, unitCost: { amount, currencyCode: "USD" } }
+})
+
+beforeEach(async () => {
+    shopify_server = new FakeShopifyServer({ variants: [variantWithCost(9001, "40.00"), variantWithCost(9002, "40.00")] })
+    quickbooks_server = new FakeQuickBooksServer()
+    const admin_api_url = await shopify_server.listen()
+    const base_url = await quickbooks_server.listen()
+
+    handled = []
+    webhook_server = new WebhookServer({
+        runner: new SyncRunner({
+            shopify: new ShopifyEngine(shopify_server.engineConfig(admin_api_url)),
+            quickbooks: new QuickBooksEngine(quickbooks_server.engineConfig(base_url)),
+            state_store: new MemoryStateStore()
+        }),
+        secret: SECRET,
+        on_result: (event, summary) => handled.push({ topic: event.topic, summary })
+    })
+    port = await webhook_server.listen(0)
+})
+
+afterEach(async () => {
+    await webhook_server.close()
+    await shopify_server.close()
+    await quickbooks_server.close()
+})
+
+const send = async (topic, fixture, { webhook_id, secret = SECRET } = {}) => {
+    const body = fs.readFileSync(path.join(__dirname, "..", "fixtures", "webhooks", fixture))
+    const res = await fetch(`http://127.0.0.1:${port}/webhooks`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "X-Shopify-Topic": topic,
+            "X-Shopify-Webhook-Id": webhook_id,
+            "X-Shopify-Hmac-Sha256": signWebhook(body, secret)
+        },
+        body
+    })
+
+    return { status: res.status, body: await res.json() }
+}
+
+test("a delivery with a bad signature is refused", async () => {
+    const res = await send("products/update", "products_update.json", { webhook_id: "1", secret: "wrong-secret" })
+
+    assert.strictEqual(res.status, 401)
+    await webhook_server.queue.idle()
+    assert.deepStrictEqual(handled, [])
+})
+
+test("a redelivered webhook id is acknowledged and ignored", async () => {
+    const first = await send("products/update", "products_update.json", { webhook_id: "1" })
+    const second = await send("products/update", "products_update.json", { webhook_id: "1" })
+
+    assert.deepStrictEqual([first.body.status, second.body.status], ["queued", "duplicate"])
+    await webhook_server.queue.idle()
+    assert.strictEqual(handled.length, 1)
+})
+
+test("product webhooks sync the product's variants with their costs", async () => {
+    await send("products/create", "products_create.json", { webhook_id: "1" })
+    await webhook_server.queue.idle()
+
+    const [{ summary }] = handled
+    assert.strictEqual(summary.ok, true)
+    assert.ok(summary.created > 0)
+
+    const item = quickbooks_server.findItem({ Sku: "ACME-TR-42" })
+    assert.strictEqual(item.Active, true)
+    assert.strictEqual(item.PurchaseCost, 40)
+})
+
+test("a paid order webhook creates a sales receipt", async () => {
+    await send("products/create", "products_create.json", { webhook_id: "1" })
+    await send("orders/paid", "orders_paid.json", { webhook_id: "2" })
+    await webhook_server.queue.idle()
+
+    assert.deepStrictEqual(handled.map(({ summary }) => summary.ok), [true, true])
+
+    const [sales_receipt] = quickbooks_server.sales_receipts
+    assert.strictEqual(sales_receipt.DocNumber, "5001")
+    assert.strictEqual(sales_receipt.Line[0].SalesItemLineDetail.ItemRef.value, quickbooks_server.findItem({ Sku: "ACME-TR-42" }).Id)
+})
+
+test("a product delete webhook deactivates the product's items", async () => {
+    await send("products/create", "products_create.json", { webhook_id: "1" })
+    await send("products/delete", "products_delete.json", { webhook_id: "2" })
+    await webhook_server.queue.idle()
+
+    const [, { summary }] = handled
+    assert.ok(summary.deactivated > 0)
+    assert.strictEqual(summary.deactivated, handled[0].summary.created)
+    assert.strictEqual(quickbooks_server.findItem({ Sku: "ACME-TR-42" }).Active, false)
+})
\ No newline at end of file
@@ -0,0 +1,51 @@
+const fs = require("fs")
+
+// persists the rotated quickbooks tokens to a json file readable by the owner only
+class FileTokenStore {
+    constructor({ path }) {
+        this.path = path
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.path, "utf8"))
+        } catch (err) {
+            if (err.code == "ENOENT") {
+                return null
+            }
+
+            throw err
+        }
+    }
+
+    async save(tokens) {
+        const tmp_path = `${this.path}.tmp`
+        await fs.promises.writeFile(tmp_path, JSON.stringify({
+            ...tokens,
+            refreshed_at: new Date().toISOString()
+        }, null, 2), { mode: 0o600 })
+        await fs.promises.rename(tmp_path, this.path)
+    }
+}
+
+// hands the tokens to user supplied functions, e.g. to keep them in a database or secrets manager;
+// load is optional for callers that only want to be told about rotated tokens
+class CallbackTokenStore {
+    constructor({ load = null, save }) {
+        this.loadTokens = load
+        this.saveTokens = save
+    }
+
+    async load() {
+        return this.loadTokens ? this.loadTokens() : null
+    }
+
+    async save(tokens) {
+        await this.saveTokens(tokens)
+    }
+}
+
+module.exports = {
+    FileTokenStore,
+    CallbackTokenStore
+}
\ No newline at end of file
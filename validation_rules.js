@@ -0,0 +1,302 @@
+const { resolveMapping, generateProductName } = require("./product_mapping")
+const { selectTaxCodes } = require("./tax_mapping")
+
+// a rule has a code, a severity of "error" or "warning", and a check of a single variant, a unique key and/or a catalog check across all variants.
+// check(variant, context, options) returns a message, or nothing when the variant passes.
+// unique is { key({ variant, context }), message(key, id) }, every variant after the first with the same non-empty key fails.
+// catalog(entries, options) gets every { variant, context } and returns the failures as [{ index, message }], unlike unique
+// keys a catalog check can't run while variants are streamed one at a time.
+// context holds the name the mapping generates for the variant (null when it has no vendor or title), max_name_length, the mapping
+// and the { home_currency, rates } prices and costs are converted with (null when the home currency isn't known), and the quickbooks
+// tax_mapping (null when items are taxed with the Taxable flag).
+// options is the rule's configuration, merged over the rule's own defaults
+const BUILT_IN_RULES = [
+    {
+        code: 100,
+        severity: "error",
+        check: ({ price }) => isEmpty(price) ? `invalid price: price can't be empty` : null
+    },
+    {
+        code: 101,
+        severity: "error",
+        check: ({ inventory_item }) => !inventory_item || !inventory_item.unit_cost || isEmpty(inventory_item.unit_cost.amount) ? `invalid cost: cost can't be empty` : null
+    },
+    {
+        code: 102,
+        severity: "error",
+        check: ({ vendor }) => isEmpty(vendor) ? `invalid vendor: vendor can't be empty` : null
+    },
+    {
+        code: 103,
+        severity: "error",
+        check: ({ title }) => isEmpty(title) ? `invalid title: title can't be empty` : null
+    },
+    {
+        code: 104,
+        severity: "error",
+        check: (variant, { name }) => name !== null && name.startsWith("_") ? `invalid name: name can't start with "_"` : null
+    },
+    {
+        code: 105,
+        severity: "error",
+        check: (variant, { name, max_name_length }) => name !== null && name.length > max_name_length ? `invalid name: name can't have more than ${max_name_length} characters` : null
+    },
+    {
+        code: 106,
+        severity: "error",
+        unique: {
+            key: ({ context }) => isValidName(context) ? context.name : null,
+            message: (name, id) => `duplicate name: ${name}; the name is already in use by product variant with id: ${id}`
+        }
+    },
+    {
+        code: 107,
+        severity: "error",
+        check: ({ sku }) => isEmpty(sku) ? `invalid sku: sku can't be empty` : null
+    },
+    {
+        code: 108,
+        severity: "error",
+        unique: {
+            key: ({ variant }) => variant.sku,
+            message: (sku, id) => `duplicate sku: ${sku}; the sku is already in use by product variant with id: ${id}`
+        }
+    },
+    {
+        code: 109,
+        severity: "error",
+        check: ({ barcode }) => isEmpty(barcode) ? `invalid barcode: barcode can't be empty` : null
+    },
+    {
+        code: 110,
+        severity: "error",
+        unique: {
+            key: ({ variant }) => variant.barcode,
+            message: (barcode, id) => `duplicate barcode: ${barcode}; the barcode is already in use by product variant with id: ${id}`
+        }
+    },
+    {
+        code: 114,
+        severity: "error",
+        check: ({ price_currency_code, inventory_item }, { currency }) => {
+            if (!currency) {
+                return null
+            }
+
+            const cost_currency_code = inventory_item && inventory_item.unit_cost ? inventory_item.unit_cost.currency_code : null
+            const missing = [["price", price_currency_code], ["cost", cost_currency_code]]
+                .filter(([field, code]) => code && code != currency.home_currency && !currency.rates[code])
+
+            return missing.length > 0 ? `missing exchange rate: no rate from ${missing.map(([field, code]) => `${code} (${field})`).join(", ")} to the quickbooks home currency ${currency.home_currency}` : null
+        }
+    },
+    {
+        code: 115,
+        severity: "error",
+        check: ({ product_type, taxable }, { tax_mapping }) => {
+            if (!tax_mapping || selectTaxCodes(tax_mapping, { product_type, taxable })) {
+                return null
+            }
+
+            return `missing tax mapping: no sales and purchase tax codes for ${taxable ? "taxable" : "non-taxable"} variants${isEmpty(product_type) ? "" : ` of product type ${product_type}`}`
+        }
+    },
+    // the rules below are off unless enabled in the rule configuration
+    {
+        code: 111,
+        severity: "warning",
+        enabled: false,
+        options: { min_margin: 0 },
+        check: ({ price, inventory_item }, context, { min_margin }) => {
+            if (isEmpty(price) || !inventory_item || !inventory_item.unit_cost || isEmpty(inventory_item.unit_cost.amount)) {
+                return null
+            }
+
+            const margin = parseFloat(price) - parseFloat(inventory_item.unit_cost.amount)
+            return margin < min_margin ? `low margin: price ${price} is less than cost ${inventory_item.unit_cost.amount} plus ${min_margin}` : null
+        }
+    },
+    {
+        code: 112,
+        severity: "error",
+        enabled: false,
+        options: { pattern: /^[A-Za-z0-9._-]+$/ },
+        check: ({ sku }, context, { pattern }) => !isEmpty(sku) && !new RegExp(pattern).test(sku) ? `invalid sku: ${sku} does not match ${pattern}` : null
+    },
+    {
+        code: 113,
+        severity: "error",
+        enabled: false,
+        // quickbooks uses ":" to separate sub-item names and rejects tabs and newlines
+        options: { characters: [":", "\t", "\n", "\r"] },
+        check: (variant, { name }, { characters }) => {
+            const forbidden = name === null ? [] : characters.filter(character => name.includes(character))
+            return forbidden.length > 0 ? `invalid name: name can't contain ${forbidden.map(character => JSON.stringify(character)).join(", ")}` : null
+        }
+    }
+]
+
+// rules configures the rules by code: false disables a rule, true enables an optional one,
+// and an object sets { enabled, severity } and the rule's options. custom_rules are added to the built in ones
+const resolveRules = ({ rules = {}, custom_rules = [] } = {}) => {
+    const all_rules = BUILT_IN_RULES.concat(custom_rules)
+
+    let codes = {}
+    all_rules.forEach(({ code }) => {
+        if (codes[code]) {
+            throw new Error(`duplicate validation rule code: ${code}`)
+        }
+        codes[code] = true
+    })
+
+    return all_rules.map(rule => {
+        const config = rules[rule.code]
+        const { enabled, severity, ...options } = typeof config == "object" && config !== null ? config : {}
+
+        return {
+            ...rule,
+            // configuring an optional rule switches it on unless the configuration says otherwise
+            enabled: config === undefined ? rule.enabled !== false : config !== false && enabled !== false,
+            severity: severity || rule.severity || "error",
+            options: {
+                ...rule.options,
+                ...options
+            }
+        }
+    }).filter(({ enabled }) => enabled)
+}
+
+const runValidationRules = (variants, { mapping = {}, rules = {}, custom_rules = [], currency = null, tax_mapping = null } = {}) => {
+    const active_rules = resolveRules({ rules, custom_rules })
+
+    const entries = variants.map(variant => ({
+        variant,
+        context: createContext(variant, { mapping, currency, tax_mapping })
+    }))
+
+    let failures = entries.map(() => [])
+
+    active_rules.forEach(({ code, severity, options, check, unique, catalog }) => {
+        if (check) {
+            entries.forEach(({ variant, context }, index) => {
+                const message = check(variant, context, options)
+                if (message) {
+                    failures[index] = failures[index].concat({ code, severity, message })
+                }
+            })
+        }
+
+        const catalog_failures = (unique ? findDuplicates(entries, unique.key, unique.message) : [])
+            .concat(catalog ? catalog(entries, options) : [])
+
+        catalog_failures.forEach(({ index, message }) => {
+            failures[index] = failures[index].concat({ code, severity, message })
+        })
+    })
+
+    const results = entries.map(({ variant }, index) => toResult(variant, failures[index]))
+
+    return {
+        ok: results.every(({ errors }) => errors.length == 0),
+        results
+    }
+}
+
+// validates variants one at a time as they are streamed, returning a function of a variant that returns its result.
+// unique rules remember the keys they have seen, so results match those of runValidationRules over the same variants in the
+// same order. currency may gain rates as new currencies turn up in the stream
+const createValidator = ({ mapping = {}, rules = {}, custom_rules = [], currency = null, tax_mapping = null } = {}) => {
+    const active_rules = resolveRules({ rules, custom_rules })
+
+    const catalog_rules = active_rules.filter(({ catalog }) => catalog)
+    if (catalog_rules.length > 0) {
+        throw new Error(`validation rules ${catalog_rules.map(({ code }) => code).join(", ")} check the whole catalog at once and can't validate streamed variants; disable them or give them a unique key instead`)
+    }
+
+    let first_ids = active_rules.map(() => new Map())
+
+    return variant => {
+        const context = createContext(variant, { mapping, currency, tax_mapping })
+
+        let failures = []
+
+        active_rules.forEach(({ code, severity, options, check, unique }, i) => {
+            const message = check ? check(variant, context, options) : null
+            if (message) {
+                failures = failures.concat({ code, severity, message })
+            }
+
+            const key = unique ? unique.key({ variant, context }) : null
+            if (isEmpty(key)) {
+                return
+            }
+
+            if (first_ids[i].has(key)) {
+                failures = failures.concat({ code, severity, message: unique.message(key, first_ids[i].get(key)) })
+            } else {
+                first_ids[i].set(key, variant.id)
+            }
+        })
+
+        return toResult(variant, failures)
+    }
+}
+
+const createContext = (variant, { mapping, currency, tax_mapping }) => {
+    return {
+        name: isEmpty(variant.vendor) || isEmpty(variant.title) ? null : generateProductName(variant, mapping),
+        max_name_length: resolveMapping(mapping).max_name_length,
+        mapping,
+        currency,
+        tax_mapping
+    }
+}
+
+const toResult = (variant, failures) => {
+    const sorted = failures.sort((a, b) => a.code - b.code)
+
+    return {
+        id: variant.id,
+        product_id: variant.product_id,
+        title: variant.title,
+        errors: sorted.filter(({ severity }) => severity == "error").map(({ code, message }) => ({ code, message })),
+        warnings: sorted.filter(({ severity }) => severity == "warning").map(({ code, message }) => ({ code, message }))
+    }
+}
+
+// reports every variant after the first that has the same non-empty key, pointing to the first one
+const findDuplicates = (entries, keyOf, describe) => {
+    let first_ids = {}
+    let duplicates = []
+
+    entries.forEach((entry, index) => {
+        const key = keyOf(entry)
+        if (isEmpty(key)) {
+            return
+        }
+
+        if (first_ids[key]) {
+            duplicates = duplicates.concat({ index, message: describe(key, first_ids[key]) })
+        } else {
+            first_ids[key] = entry.variant.id
+        }
+    })
+
+    return duplicates
+}
+
+const isValidName = ({ name, max_name_length }) => {
+    return name !== null && !name.startsWith("_") && name.length <= max_name_length
+}
+
+const isEmpty = value => {
+    return value === undefined || value === null || value === ""
+}
+
+module.exports = {
+    BUILT_IN_RULES,
+    resolveRules,
+    runValidationRules,
+    createValidator,
+    findDuplicates
+}
\ No newline at end of file
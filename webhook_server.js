@@ -0,0 +1,222 @@
+const http = require("http")
+const crypto = require("crypto")
+const { parseWebhookProduct, parseWebhookOrder } = require("./shopify_engine")
+const { logRunResults, describeError } = require("./sync_runner")
+
+const TOPICS = ["products/create", "products/update", "products/delete", "orders/paid"]
+
+// receives shopify webhooks and syncs the products and orders they carry through the runner.
+// events are answered as soon as they are queued and then handled one at a time, shopify retries
+// a delivery that isn't answered within a few seconds and those retries are dropped by webhook id
+class WebhookServer {
+    // secret is the app's shared secret (or the webhook signing secret shown in the shopify admin).
+    // on_result is called with each handled event and its run summary, by default the results are logged
+    constructor({ runner, secret, path = "/webhooks", dry_run = false, max_seen_ids = 10000, on_result = null }) {
+        if (!secret) {
+            throw new Error("a webhook secret is needed to verify shopify's signatures")
+        }
+
+        this.runner = runner
+        this.secret = secret
+        this.path = path
+        this.dry_run = dry_run
+        this.on_result = on_result || logWebhookResult
+
+        this.queue = new WebhookQueue({ max_seen_ids, handle: event => this.handleEvent(event) })
+        this.server = http.createServer((req, res) => this.handleRequest(req, res))
+    }
+
+    async listen(port = 3000) {
+        if (this.runner.state_store) {
+            await this.runner.state_store.load()
+        }
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject)
+            this.server.listen(port, () => {
+                this.server.removeListener("error", reject)
+                resolve()
+            })
+        })
+
+        return this.server.address().port
+    }
+
+    // stops taking requests and waits for the queued events to be handled
+    async close() {
+        await new Promise(resolve => this.server.close(() => resolve()))
+        await this.queue.idle()
+    }
+
+    async handleRequest(req, res) {
+        const respond = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" })
+            res.end(JSON.stringify(body))
+        }
+
+        if (req.method != "POST" || req.url.split("?")[0] != this.path) {
+            return respond(404, { error: "not found" })
+        }
+
+        let raw_body
+        try {
+            raw_body = await readBody(req)
+        } catch (err) {
+            return respond(400, { error: "could not read the request body" })
+        }
+
+        // the signature is over the raw bytes, so it is checked before the body is parsed
+        if (!verifyWebhook(raw_body, req.headers["x-shopify-hmac-sha256"], this.secret)) {
+            return respond(401, { error: "invalid signature" })
+        }
+
+        const topic = req.headers["x-shopify-topic"]
+        const webhook_id = req.headers["x-shopify-webhook-id"]
+
+        // shopify stops retrying once a delivery is answered, so unknown topics are acknowledged and dropped
+        if (!TOPICS.includes(topic)) {
+            return respond(200, { status: "ignored", topic })
+        }
+
+        let payload
+        try {
+            payload = JSON.parse(raw_body.toString("utf8"))
+        } catch (err) {
+            return respond(400, { error: "invalid json" })
+        }
+
+        const queued = this.queue.push({ webhook_id, topic, shop: req.headers["x-shopify-shop-domain"], payload })
+
+        respond(200, { status: queued ? "queued" : "duplicate", webhook_id })
+    }
+
+    async handleEvent(event) {
+        try {
+            const summary = await this.syncEvent(event)
+            this.on_result(event, summary)
+        } catch (err) {
+            this.on_result(event, {
+                ok: false,
+                dry_run: this.dry_run,
+                failed: 1,
+                results: [{ id: event.webhook_id, name: event.topic, status: "failed", errors: [{ message: describeError(err), error: err }] }]
+            })
+        }
+    }
+
+    async syncEvent({ topic, payload }) {
+        const dry_run = this.dry_run
+
+        switch (topic) {
+            case "products/create":
+            case "products/update": {
+                const variants = parseWebhookProduct(payload)
+                const costs = await this.runner.shopify.getInventoryItemCosts(variants.map(({ inventory_item }) => inventory_item.id))
+                const price_currency_code = await this.runner.shopify.getShopCurrency()
+                variants.forEach(variant => {
+                    variant.price_currency_code = price_currency_code
+                    variant.inventory_item.unit_cost = costs[variant.inventory_item.id] || null
+                })
+
+                return this.runner.syncProductVariants(variants, { dry_run })
+            }
+            case "products/delete":
+                return this.runner.deactivateProductVariants(`gid://shopify/Product/${payload.id}`, { dry_run })
+            case "orders/paid": {
+                const result = await this.runner.syncOrder(parseWebhookOrder(payload), { dry_run })
+                return {
+                    ok: result.status != "failed",
+                    dry_run,
+                    [result.status]: 1,
+                    results: [result]
+                }
+            }
+        }
+    }
+}
+
+// handles events one at a time in arrival order, dropping any whose webhook id was seen before.
+// only the last max_seen_ids ids are remembered, which comfortably covers shopify's retry window
+class WebhookQueue {
+    constructor({ handle, max_seen_ids = 10000 }) {
+        this.handle = handle
+        this.max_seen_ids = max_seen_ids
+
+        this.events = []
+        this.seen_ids = new Set()
+        this.running = null
+    }
+
+    // returns false for a duplicate
+    push(event) {
+        if (event.webhook_id) {
+            if (this.seen_ids.has(event.webhook_id)) {
+                return false
+            }
+
+            this.seen_ids.add(event.webhook_id)
+            if (this.seen_ids.size > this.max_seen_ids) {
+                // sets iterate in insertion order, so the first id is the oldest
+                this.seen_ids.delete(this.seen_ids.values().next().value)
+            }
+        }
+
+        this.events.push(event)
+        if (!this.running) {
+            this.running = this.run()
+        }
+
+        return true
+    }
+
+    async run() {
+        while (this.events.length > 0) {
+            await this.handle(this.events.shift())
+        }
+
+        this.running = null
+    }
+
+    async idle() {
+        while (this.running) {
+            await this.running
+        }
+    }
+}
+
+const readBody = req => {
+    return new Promise((resolve, reject) => {
+        let chunks = []
+        req.on("data", chunk => chunks.push(chunk))
+        req.on("end", () => resolve(Buffer.concat(chunks)))
+        req.on("error", reject)
+    })
+}
+
+const signWebhook = (body, secret) => {
+    return crypto.createHmac("sha256", secret).update(body).digest("base64")
+}
+
+// compares in constant time so the signature can't be guessed byte by byte from response times
+const verifyWebhook = (raw_body, hmac_header, secret) => {
+    if (!hmac_header) {
+        return false
+    }
+
+    const expected = Buffer.from(signWebhook(raw_body, secret))
+    const received = Buffer.from(hmac_header)
+
+    return expected.length == received.length && crypto.timingSafeEqual(expected, received)
+}
+
+const logWebhookResult = ({ webhook_id, topic }, summary) => {
+    console.log(`    webhook ${topic}${webhook_id ? ` (${webhook_id})` : ""}`)
+    logRunResults(summary)
+}
+
+module.exports = {
+    WebhookServer,
+    WebhookQueue,
+    signWebhook,
+    verifyWebhook
+}
\ No newline at end of file
@@ -0,0 +1,44 @@
+const fs = require("fs")
+const path = require("path")
+const fetch = require("isomorphic-unfetch")
+const { QuickBooksEngine } = require("./quickbooks_engine")
+const { ShopifyEngine } = require("./shopify_engine")
+const { SyncRunner } = require("./sync_runner")
+const { MemoryStateStore } = require("./state_store")
+const { WebhookServer, signWebhook } = require("./webhook_server")
+const { shopify, quickbooks, webhook_secret = "test-secret" } = require("./config")
+
+// posts the signed fixtures in fixtures/webhooks to a local server running as a dry run,
+// plus a replayed delivery and a bad signature, which should come back as a duplicate and a 401
+const server = new WebhookServer({
+    runner: new SyncRunner({ shopify: new ShopifyEngine(shopify), quickbooks: new QuickBooksEngine(quickbooks), state_store: new MemoryStateStore() }),
+    secret: webhook_secret,
+    dry_run: true
+})
+
+const send = async (port, topic, fixture, { webhook_id, secret = webhook_secret } = {}) => {
+    const body = fs.readFileSync(path.join(__dirname, "fixtures", "webhooks", fixture))
+    const res = await fetch(`http://localhost:${port}/webhooks`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "X-Shopify-Topic": topic,
+            "X-Shopify-Webhook-Id": webhook_id,
+            "X-Shopify-Hmac-Sha256": signWebhook(body, secret)
+        },
+        body
+    })
+
+    console.log(`${topic} ${fixture}: ${res.status} ${await res.text()}`)
+}
+
+server.listen(0).then(async port => {
+    await send(port, "products/create", "products_create.json", { webhook_id: "fixture-1" })
+    await send(port, "products/update", "products_update.json", { webhook_id: "fixture-2" })
+    await send(port, "products/update", "products_update.json", { webhook_id: "fixture-2" })
+    await send(port, "products/update", "products_update.json", { webhook_id: "fixture-3", secret: "wrong-secret" })
+    await send(port, "orders/paid", "orders_paid.json", { webhook_id: "fixture-4" })
+    await send(port, "products/delete", "products_delete.json", { webhook_id: "fixture-5" })
+
+    await server.close()
+}).catch(err => console.error(err))
\ No newline at end of file